@@ -1,8 +1,11 @@
 // @ts-check
 import { defineConfig } from 'astro/config';
+import { contentCheck } from './scripts/lib/content-check.mjs';
+import { sitemap } from './scripts/lib/sitemap.mjs';
 
 // https://astro.build/config
 export default defineConfig({
   site: 'https://nivvok.art',
   server: { host: '0.0.0.0' },
+  integrations: [contentCheck(), sitemap()],
 });
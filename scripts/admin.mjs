@@ -1,136 +1,49 @@
 import { createServer } from 'node:http';
-import { readFileSync, writeFileSync, readdirSync, existsSync } from 'node:fs';
-import { join, resolve } from 'node:path';
+import { readFileSync, existsSync } from 'node:fs';
+import { join, basename, extname } from 'node:path';
+import {
+  PHOTOS_DIR,
+  PHOTO_MAX_EDGE,
+  readMiniature,
+  listMiniatures,
+  getMetadata,
+  saveMiniature,
+  updateMiniature,
+  deleteMiniature,
+  getLogos,
+  saveLogo,
+  importMiniatures,
+  getTaxonomy,
+  renameValue,
+  getLogoPath,
+} from './lib/catalog.mjs';
+import { runCli } from './lib/cli.mjs';
 
 const PORT = 3001;
-const ROOT = resolve(import.meta.dirname, '..');
-const MINIATURES_DIR = join(ROOT, 'src/content/miniatures');
-const PHOTOS_DIR = join(ROOT, 'src/assets/photos');
-const LOGOS_DIR = join(ROOT, 'src/assets/logos');
-
-function slugify(title) {
-  return title
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
-}
 
-function getMetadata() {
-  const manufacturers = new Set();
-  const games = new Set();
-  const factions = new Set();
-  const scales = new Set();
-
-  const files = readdirSync(MINIATURES_DIR).filter(f => f.endsWith('.yaml'));
-  for (const file of files) {
-    const content = readFileSync(join(MINIATURES_DIR, file), 'utf-8');
-    for (const line of content.split('\n')) {
-      const match = line.match(/^(\w+):\s*"?([^"]+)"?\s*$/);
-      if (!match) continue;
-      const [, key, value] = match;
-      if (key === 'manufacturer') manufacturers.add(value);
-      else if (key === 'game') games.add(value);
-      else if (key === 'faction') factions.add(value);
-      else if (key === 'scale') scales.add(value);
-    }
+// The edit form needs the photos themselves, sent inline as data URLs
+function handleGetMiniature(slug) {
+  const miniature = readMiniature(slug);
+  if (!miniature) {
+    return { status: 404, body: { error: `No miniature with slug "${slug}"` } };
   }
 
-  const slugs = files.map(f => f.replace(/\.yaml$/, ''));
+  const photos = miniature.photos.map(photo => {
+    const ext = extname(photo.file).slice(1).replace('jpg', 'jpeg');
+    const base64 = readFileSync(join(PHOTOS_DIR, photo.file)).toString('base64');
+    return { ...photo, dataUrl: `data:image/${ext};base64,${base64}` };
+  });
 
-  return {
-    manufacturers: [...manufacturers].sort(),
-    games: [...games].sort(),
-    factions: [...factions].sort(),
-    scales: [...scales].sort(),
-    slugs,
-  };
+  return { status: 200, body: { ...miniature, photos } };
 }
 
-function handleSave(body) {
-  const data = JSON.parse(body);
-  const { title, manufacturer, date, scale, game, faction, order, photos } = data;
-
-  if (!title || !manufacturer || !date || !scale || !photos?.length) {
-    return { status: 400, body: { error: 'Missing required fields' } };
-  }
-
-  const slug = slugify(title);
-  if (!slug) {
-    return { status: 400, body: { error: 'Title produces an empty slug' } };
-  }
-
-  const yamlPath = join(MINIATURES_DIR, `${slug}.yaml`);
-  if (existsSync(yamlPath)) {
-    return { status: 409, body: { error: `A miniature with slug "${slug}" already exists` } };
-  }
-
-  // Check all photo paths before writing anything
-  const photoFilenames = [];
-  for (let i = 0; i < photos.length; i++) {
-    const suffix = i === 0 ? '' : `-${i + 1}`;
-    const filename = `${slug}${suffix}.png`;
-    const photoPath = join(PHOTOS_DIR, filename);
-    if (existsSync(photoPath)) {
-      return { status: 409, body: { error: `Photo file "${filename}" already exists` } };
-    }
-    photoFilenames.push({ filename, photoPath, data: photos[i] });
-  }
-
-  // Save photos
-  for (const { photoPath, data: photoData } of photoFilenames) {
-    const base64Data = photoData.replace(/^data:image\/\w+;base64,/, '');
-    writeFileSync(photoPath, Buffer.from(base64Data, 'base64'));
-  }
-
-  // Build YAML
-  const photoLines = photoFilenames
-    .map(({ filename }) => `  - "../../assets/photos/${filename}"`)
-    .join('\n');
-
-  let yaml = `title: "${title}"
-photos:
-${photoLines}
-manufacturer: "${manufacturer}"
-date: ${date}
-scale: "${scale}"`;
-
-  if (game) yaml += `\ngame: "${game}"`;
-  if (faction) yaml += `\nfaction: "${faction}"`;
-  if (order) yaml += `\norder: ${order}`;
-  yaml += '\n';
-
-  writeFileSync(yamlPath, yaml);
-
-  // Check for missing logos
-  const warnings = [];
-  const mfrSlug = slugify(manufacturer);
-  if (!existsSync(join(LOGOS_DIR, 'manufacturers', `${mfrSlug}.png`))) {
-    warnings.push(`Missing logo: manufacturers/${mfrSlug}.png`);
-  }
-  if (game) {
-    const gameSlug = slugify(game);
-    if (!existsSync(join(LOGOS_DIR, 'games', `${gameSlug}.png`))) {
-      warnings.push(`Missing logo: games/${gameSlug}.png`);
-    }
-  }
-  if (faction) {
-    const factionSlug = slugify(faction);
-    if (!existsSync(join(LOGOS_DIR, 'factions', `${factionSlug}.png`))) {
-      warnings.push(`Missing logo: factions/${factionSlug}.png`);
-    }
-  }
-
-  return {
-    status: 200,
-    body: {
-      message: `Saved "${title}" (${photoFilenames.length} photo${photoFilenames.length > 1 ? 's' : ''})`,
-      slug,
-      files: [yamlPath, ...photoFilenames.map(({ photoPath }) => photoPath)],
-      warnings,
-    },
-  };
+// The web form uploads each file as a data URL
+function handleImport({ files = [], manifest, shared, photoOptions, confirm }) {
+  const buffers = new Map(files.map(({ name, dataUrl }) => [
+    basename(name),
+    Buffer.from(dataUrl.replace(/^data:[^,]*,/, ''), 'base64'),
+  ]));
+  return importMiniatures({ files: buffers, manifest, shared, photoOptions, confirm });
 }
 
 const HTML = `<!DOCTYPE html>
@@ -138,7 +51,7 @@ const HTML = `<!DOCTYPE html>
 <head>
 <meta charset="UTF-8">
 <meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>Admin - Add Miniature</title>
+<title>Admin - Miniatures</title>
 <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/cropperjs/1.6.2/cropper.min.css">
 <script src="https://cdnjs.cloudflare.com/ajax/libs/cropperjs/1.6.2/cropper.min.js"><\/script>
 <style>
@@ -203,7 +116,7 @@ const HTML = `<!DOCTYPE html>
     color: var(--color-text-muted);
   }
 
-  input, select {
+  input, select, textarea {
     padding: 0.5rem 0.75rem;
     background: var(--color-surface);
     border: 1px solid var(--color-border);
@@ -217,7 +130,9 @@ const HTML = `<!DOCTYPE html>
   input[type="number"]::-webkit-outer-spin-button,
   input[type="number"]::-webkit-inner-spin-button { -webkit-appearance: none; margin: 0; }
 
-  input:focus, select:focus {
+  textarea { resize: vertical; line-height: 1.4; }
+
+  input:focus, select:focus, textarea:focus {
     outline: none;
     border-color: var(--color-accent);
   }
@@ -249,6 +164,99 @@ const HTML = `<!DOCTYPE html>
 
   .new-value-warning.visible { display: block; }
 
+  /* Tag editor */
+  .tag-editor {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.35rem;
+    padding: 0.35rem 0.5rem;
+    background: var(--color-surface);
+    border: 1px solid var(--color-border);
+    border-radius: 6px;
+  }
+
+  .tag-editor:focus-within { border-color: var(--color-accent); }
+
+  .tag-editor input {
+    flex: 1;
+    min-width: 120px;
+    border: none;
+    padding: 0.15rem 0.25rem;
+    background: transparent;
+  }
+
+  .tag-pill {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.25rem;
+    padding: 0.15rem 0.5rem;
+    border-radius: 999px;
+    background: var(--color-border);
+    font-size: 0.85rem;
+  }
+
+  .tag-pill button {
+    background: none;
+    border: none;
+    color: var(--color-text-muted);
+    cursor: pointer;
+    font-size: 1rem;
+    line-height: 1;
+  }
+
+  .tag-pill button:hover { color: var(--color-danger); }
+
+  /* Recipe editor */
+  .recipe-step {
+    display: flex;
+    flex-direction: column;
+    gap: 0.5rem;
+    padding: 0.75rem;
+    margin-bottom: 0.5rem;
+    border: 1px solid var(--color-border);
+    border-radius: 6px;
+  }
+
+  .recipe-step-row,
+  .recipe-paint {
+    display: flex;
+    gap: 0.5rem;
+    align-items: center;
+  }
+
+  .recipe-step-row input,
+  .recipe-paint input { flex: 1; min-width: 0; }
+
+  .recipe-paints {
+    display: flex;
+    flex-direction: column;
+    gap: 0.35rem;
+    padding-left: 1rem;
+  }
+
+  .icon-btn {
+    background: none;
+    border: none;
+    color: var(--color-text-muted);
+    cursor: pointer;
+    font-size: 1.2rem;
+    line-height: 1;
+    padding: 0 0.35rem;
+  }
+
+  .icon-btn:hover { color: var(--color-danger); }
+
+  .link-btn {
+    align-self: flex-start;
+    background: none;
+    border: none;
+    color: var(--color-accent);
+    cursor: pointer;
+    font-family: inherit;
+    font-size: 0.85rem;
+  }
+
   /* Drop zone */
   .drop-zone {
     border: 2px dashed var(--color-border);
@@ -304,6 +312,13 @@ const HTML = `<!DOCTYPE html>
     pointer-events: none;
   }
 
+  .thumb-stage,
+  .thumb-caption {
+    width: 100%;
+    padding: 0.3rem 0.5rem;
+    font-size: 0.8rem;
+  }
+
   .thumb-filename {
     font-size: 0.8rem;
     font-family: monospace;
@@ -467,11 +482,166 @@ const HTML = `<!DOCTYPE html>
     color: #c90;
     font-size: 0.9rem;
   }
+
+  /* Bulk import */
+  .import-preview { margin-bottom: 1rem; overflow-x: auto; }
+
+  .import-preview table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 0.85rem;
+  }
+
+  .import-preview th,
+  .import-preview td {
+    padding: 0.4rem 0.6rem;
+    border-bottom: 1px solid var(--color-border);
+    text-align: left;
+    vertical-align: top;
+  }
+
+  .import-preview th { color: var(--color-text-muted); font-weight: normal; }
+  .import-preview .import-ok { color: var(--color-success); }
+  .import-preview .import-error { color: var(--color-danger); }
+  .import-preview .import-warning { color: #c90; }
+
+  .import-unassigned {
+    margin-top: 0.5rem;
+    color: #c90;
+    font-size: 0.85rem;
+  }
+
+  /* Miniature list */
+  .miniature-list {
+    display: flex;
+    flex-direction: column;
+    border: 1px solid var(--color-border);
+    border-radius: 8px;
+    overflow: hidden;
+  }
+
+  .miniature-row {
+    display: flex;
+    align-items: center;
+    gap: 1rem;
+    padding: 0.6rem 1rem;
+    border-bottom: 1px solid var(--color-border);
+  }
+
+  .miniature-row:last-child { border-bottom: none; }
+  .miniature-row.editing { background: var(--color-surface); }
+
+  .miniature-row-info {
+    flex: 1;
+    display: flex;
+    flex-direction: column;
+    gap: 0.15rem;
+    min-width: 0;
+  }
+
+  .miniature-row-meta {
+    font-size: 0.8rem;
+    font-family: monospace;
+    color: var(--color-text-muted);
+  }
+
+  .miniature-row .btn {
+    font-size: 0.8rem;
+    padding: 0.3rem 0.75rem;
+  }
+
+  /* Taxonomy */
+  .rename-preview { margin-bottom: 1rem; font-size: 0.85rem; }
+
+  .rename-preview pre {
+    margin: 0.25rem 0 0.75rem;
+    padding: 0.5rem 0.75rem;
+    background: var(--color-surface);
+    border: 1px solid var(--color-border);
+    border-radius: 6px;
+    font-size: 0.8rem;
+    overflow-x: auto;
+  }
+
+  .rename-preview .diff-file { font-family: monospace; color: var(--color-text-muted); }
+  .rename-preview .diff-del { color: var(--color-danger); }
+  .rename-preview .diff-add { color: var(--color-success); }
+  .rename-preview .import-warning { color: #c90; }
+
+  .taxonomy-list { margin-top: 1.5rem; }
+
+  .taxonomy-row .btn {
+    font-size: 0.8rem;
+    padding: 0.3rem 0.75rem;
+  }
+
+  /* Logo manager */
+  .logo-group { margin-bottom: 1.5rem; }
+
+  .logo-group h3 {
+    font-size: 0.9rem;
+    font-weight: 500;
+    margin-bottom: 0.5rem;
+  }
+
+  .logo-row {
+    display: flex;
+    align-items: center;
+    gap: 1rem;
+    padding: 0.5rem 0;
+    border-bottom: 1px solid var(--color-border);
+  }
+
+  .logo-row-info {
+    flex: 1;
+    display: flex;
+    flex-direction: column;
+    gap: 0.15rem;
+    min-width: 0;
+  }
+
+  .logo-row-meta {
+    font-size: 0.8rem;
+    font-family: monospace;
+    color: var(--color-text-muted);
+  }
+
+  .logo-row-meta.missing { color: var(--color-danger); }
+
+  .logo-slot {
+    width: 96px;
+    height: 96px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border: 2px dashed var(--color-border);
+    border-radius: 8px;
+    font-size: 0.7rem;
+    text-align: center;
+    padding: 0.25rem;
+    cursor: pointer;
+    transition: border-color 0.2s;
+  }
+
+  .logo-slot.drag-over { border-color: var(--color-accent); }
+  .logo-slot.has-logo { border-style: solid; }
+
+  /* Preview each variant on the site background it is used with */
+  .logo-slot-default { background: #1a1a1a; color: #666; }
+  .logo-slot-light { background: #f5f3f0; color: #888; }
+  .logo-slot-default.missing { border-color: var(--color-danger); color: var(--color-danger); }
+
+  .logo-slot img {
+    width: 72px;
+    height: 72px;
+    object-fit: contain;
+    pointer-events: none;
+  }
 </style>
 </head>
 <body>
 
-<h1>Add Miniature</h1>
+<h1 id="page-title">Add Miniature</h1>
 
 <section>
   <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:0.5rem">
@@ -524,6 +694,40 @@ const HTML = `<!DOCTYPE html>
       <span class="new-value-warning" id="faction-warning"></span>
     </div>
   </div>
+
+  <div class="form-row">
+    <div class="form-group">
+      <label for="project">Project</label>
+      <select id="project"><option value="">Loading...</option></select>
+    </div>
+  </div>
+
+  <div class="form-row">
+    <div class="form-group">
+      <label for="tag-input">Tags</label>
+      <div class="tag-editor" id="tag-editor">
+        <input type="text" id="tag-input" list="tag-suggestions" placeholder="e.g. OSL, conversion — Enter to add">
+      </div>
+      <datalist id="tag-suggestions"></datalist>
+    </div>
+  </div>
+
+  <div class="form-row">
+    <div class="form-group">
+      <label for="description">Painting notes (markdown)</label>
+      <textarea id="description" rows="4" placeholder="How it was painted, what worked, what didn't..."></textarea>
+    </div>
+  </div>
+
+  <div class="form-row">
+    <div class="form-group">
+      <label>Recipe</label>
+      <div id="recipe-steps"></div>
+      <button class="link-btn" id="add-step-btn" type="button">+ Add step</button>
+      <datalist id="paint-brand-suggestions"></datalist>
+      <datalist id="paint-name-suggestions"></datalist>
+    </div>
+  </div>
 </section>
 
 <section>
@@ -534,13 +738,127 @@ const HTML = `<!DOCTYPE html>
     <input type="file" id="file-input" multiple accept="image/png,image/jpeg,image/webp">
   </div>
   <div class="thumbnails" id="thumbnails"></div>
+  <datalist id="stage-suggestions"></datalist>
+  <div class="form-row" style="margin-top:1rem">
+    <div class="form-group">
+      <label for="photo-max-edge">Longest edge (px)</label>
+      <input type="number" id="photo-max-edge" min="1" step="1" value="${PHOTO_MAX_EDGE}">
+    </div>
+    <div class="form-group">
+      <label for="photo-format">Store as</label>
+      <select id="photo-format">
+        <option value="png">PNG (lossless)</option>
+        <option value="webp">WebP (lossless)</option>
+        <option value="jpeg">JPEG (smallest)</option>
+      </select>
+    </div>
+  </div>
+  <p style="font-size:0.85rem;color:var(--color-text-muted)">
+    New photos, here and in the bulk import, are turned upright, downscaled to the longest edge and stored
+    without their metadata (camera, GPS position). Photos already saved are left as they are.
+  </p>
 </section>
 
 <section>
   <button class="btn btn-primary" id="save-btn" disabled>Save Miniature</button>
+  <button class="btn btn-secondary" id="cancel-edit-btn" type="button" style="display:none">Cancel Edit</button>
   <div class="status" id="status"></div>
 </section>
 
+<section>
+  <h2>Miniatures</h2>
+  <div class="miniature-list" id="miniature-list"></div>
+</section>
+
+<section>
+  <h2>Bulk Import</h2>
+  <p style="font-size:0.85rem;color:var(--color-text-muted);margin-bottom:1rem">
+    Select a batch of photos: they are grouped into miniatures by filename (ork-boy.jpg, ork-boy-2.jpg, ...),
+    or by a manifest.csv / manifest.json selected along with them. The values below apply to every miniature
+    the manifest doesn't override. Nothing is written until the preview is confirmed.
+  </p>
+  <div class="form-row">
+    <div class="form-group">
+      <label for="import-manufacturer">Manufacturer</label>
+      <input type="text" id="import-manufacturer" list="import-manufacturer-suggestions">
+    </div>
+    <div class="form-group">
+      <label for="import-scale">Scale</label>
+      <input type="text" id="import-scale" list="import-scale-suggestions" value="28mm">
+    </div>
+    <div class="form-group">
+      <label for="import-date">Date</label>
+      <input type="date" id="import-date" lang="en-GB">
+    </div>
+  </div>
+  <div class="form-row">
+    <div class="form-group">
+      <label for="import-game">Game</label>
+      <input type="text" id="import-game" list="import-game-suggestions">
+    </div>
+    <div class="form-group">
+      <label for="import-faction">Faction</label>
+      <input type="text" id="import-faction" list="import-faction-suggestions">
+    </div>
+  </div>
+  <div class="form-row">
+    <input type="file" id="import-files" multiple accept="image/png,image/jpeg,image/webp,.csv,.json">
+  </div>
+  <datalist id="import-manufacturer-suggestions"></datalist>
+  <datalist id="import-scale-suggestions"></datalist>
+  <datalist id="import-game-suggestions"></datalist>
+  <datalist id="import-faction-suggestions"></datalist>
+  <div class="import-preview" id="import-preview"></div>
+  <button class="btn btn-secondary" id="import-preview-btn" type="button" disabled>Preview</button>
+  <button class="btn btn-primary" id="import-confirm-btn" type="button" disabled>Import</button>
+  <div class="status" id="import-status"></div>
+</section>
+
+<section>
+  <h2>Taxonomy</h2>
+  <p style="font-size:0.85rem;color:var(--color-text-muted);margin-bottom:1rem">
+    Renaming a manufacturer, game, faction, scale or tag changes it in every miniature and moves its logos along.
+    Renaming it to a value that is already in use merges the two. The changes are previewed before anything is written.
+  </p>
+  <div class="form-row">
+    <div class="form-group">
+      <label for="rename-field">Field</label>
+      <select id="rename-field">
+        <option value="manufacturer">Manufacturer</option>
+        <option value="game">Game</option>
+        <option value="faction">Faction</option>
+        <option value="scale">Scale</option>
+        <option value="tag">Tag</option>
+      </select>
+    </div>
+    <div class="form-group">
+      <label for="rename-from">Current value</label>
+      <select id="rename-from"></select>
+    </div>
+    <div class="form-group">
+      <label for="rename-to">New value</label>
+      <input type="text" id="rename-to" list="rename-to-suggestions">
+    </div>
+  </div>
+  <datalist id="rename-to-suggestions"></datalist>
+  <div class="rename-preview" id="rename-preview"></div>
+  <button class="btn btn-secondary" id="rename-preview-btn" type="button" disabled>Preview</button>
+  <button class="btn btn-primary" id="rename-confirm-btn" type="button" disabled>Rename</button>
+  <div class="status" id="rename-status"></div>
+  <div class="taxonomy-list" id="taxonomy"></div>
+</section>
+
+<section>
+  <h2>Logos</h2>
+  <p style="font-size:0.85rem;color:var(--color-text-muted);margin-bottom:1rem">
+    Drop an image on a slot (or click it) to upload. Logos are trimmed and resized to fit the filter chips.
+    The light variant is optional and only needed when the logo is unreadable on the light theme.
+  </p>
+  <div id="logos"></div>
+  <div class="status" id="logo-status"></div>
+  <input type="file" id="logo-file-input" accept="image/png,image/jpeg,image/webp" style="display:none">
+</section>
+
 <!-- Crop Modal -->
 <div class="modal-overlay" id="crop-modal">
   <div class="modal">
@@ -563,16 +881,26 @@ const HTML = `<!DOCTYPE html>
 <script>
 (function() {
   // --- State ---
-  let photos = []; // { id, originalDataUrl, dataUrl, file? }
+  let photos = []; // { id, originalDataUrl, dataUrl, file?, stage, caption } — file is set for unmodified saved photos
   let nextId = 0;
   let cropper = null;
   let cropTargetId = null;
   let metadata = null;
+  let editingSlug = null;
+  let tags = [];
+  let recipe = []; // [{ area, technique, paints: [{ brand, name }] }]
 
   // --- DOM refs ---
   const titleInput = document.getElementById('title');
   const dateInput = document.getElementById('date');
   const orderInput = document.getElementById('order');
+  const projectSelect = document.getElementById('project');
+  const tagEditor = document.getElementById('tag-editor');
+  const tagInput = document.getElementById('tag-input');
+  const tagSuggestions = document.getElementById('tag-suggestions');
+  const descriptionInput = document.getElementById('description');
+  const recipeStepsEl = document.getElementById('recipe-steps');
+  const addStepBtn = document.getElementById('add-step-btn');
   const clearBtn = document.getElementById('clear-btn');
   const slugPreview = document.getElementById('slug-preview');
   const dropZone = document.getElementById('drop-zone');
@@ -580,6 +908,14 @@ const HTML = `<!DOCTYPE html>
   const thumbnailsEl = document.getElementById('thumbnails');
   const saveBtn = document.getElementById('save-btn');
   const statusEl = document.getElementById('status');
+  const pageTitle = document.getElementById('page-title');
+  const cancelEditBtn = document.getElementById('cancel-edit-btn');
+  const miniatureListEl = document.getElementById('miniature-list');
+  const photoMaxEdgeInput = document.getElementById('photo-max-edge');
+  const photoFormatSelect = document.getElementById('photo-format');
+  const logosEl = document.getElementById('logos');
+  const logoStatusEl = document.getElementById('logo-status');
+  const logoFileInput = document.getElementById('logo-file-input');
   const cropModal = document.getElementById('crop-modal');
   const cropImage = document.getElementById('crop-image');
   const cropCancel = document.getElementById('crop-cancel');
@@ -598,10 +934,45 @@ const HTML = `<!DOCTYPE html>
         populateDropdown('scale', data.scales, true, '28mm');
         populateDropdown('game', data.games, false);
         populateDropdown('faction', data.factions, false);
+        populateProjects(data.projects);
+        populateDatalist('tag-suggestions', data.tags);
+        populateDatalist('stage-suggestions', data.stages);
+        populateDatalist('import-manufacturer-suggestions', data.manufacturers);
+        populateDatalist('import-scale-suggestions', data.scales);
+        populateDatalist('import-game-suggestions', data.games);
+        populateDatalist('import-faction-suggestions', data.factions);
+        populateDatalist('paint-brand-suggestions', data.paintBrands);
+        populateDatalist('paint-name-suggestions', data.paintNames);
       });
   }
 
+  // Projects are created by hand in src/content/projects, so there's no "+ Add new" here
+  function populateProjects(projects) {
+    const current = projectSelect.value;
+    projectSelect.innerHTML = '<option value="">(none)</option>';
+    for (const project of projects) {
+      const opt = document.createElement('option');
+      opt.value = project.slug;
+      opt.textContent = project.title;
+      projectSelect.appendChild(opt);
+    }
+    projectSelect.value = current;
+  }
+
+  function populateDatalist(id, values) {
+    const datalist = document.getElementById(id);
+    datalist.innerHTML = '';
+    for (const value of values) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      datalist.appendChild(opt);
+    }
+  }
+
   loadMetadata();
+  loadMiniatureList();
+  loadLogos();
+  loadTaxonomy();
 
   const dropdownValues = {};
 
@@ -697,13 +1068,154 @@ const HTML = `<!DOCTYPE html>
     return val && dropdownValues[id]?.includes(val);
   }
 
+  // --- Tags ---
+  function setTags(values) {
+    tags = [];
+    values.forEach(addTag);
+    renderTags();
+  }
+
+  function addTag(value) {
+    const trimmed = value.trim();
+    if (!trimmed) return;
+    // Reuse the spelling of an existing tag, so "osl" doesn't become a second "OSL"
+    const existing = (metadata?.tags || []).find(t => t.toLowerCase() === trimmed.toLowerCase());
+    const tag = existing || trimmed;
+    if (tags.some(t => t.toLowerCase() === tag.toLowerCase())) return;
+    tags.push(tag);
+  }
+
+  function renderTags() {
+    tagEditor.querySelectorAll('.tag-pill').forEach(el => el.remove());
+    for (const tag of tags) {
+      const pill = document.createElement('span');
+      pill.className = 'tag-pill';
+      pill.textContent = tag;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.title = 'Remove tag';
+      remove.innerHTML = '&times;';
+      remove.addEventListener('click', () => {
+        tags = tags.filter(t => t !== tag);
+        renderTags();
+      });
+      pill.appendChild(remove);
+      tagEditor.insertBefore(pill, tagInput);
+    }
+  }
+
+  function commitTagInput() {
+    tagInput.value.split(',').forEach(addTag);
+    tagInput.value = '';
+    renderTags();
+  }
+
+  tagInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      commitTagInput();
+    } else if (e.key === 'Backspace' && !tagInput.value && tags.length) {
+      tags.pop();
+      renderTags();
+    }
+  });
+
+  // Fires when a datalist suggestion is picked, and on blur
+  tagInput.addEventListener('change', commitTagInput);
+
+  tagEditor.addEventListener('click', (e) => {
+    if (e.target === tagEditor) tagInput.focus();
+  });
+
+  // --- Recipe ---
+  function setRecipe(steps) {
+    recipe = steps.map(step => ({
+      area: step.area || '',
+      technique: step.technique || '',
+      paints: (step.paints || []).map(p => ({ brand: p.brand || '', name: p.name || '' })),
+    }));
+    renderRecipe();
+  }
+
+  function createRecipeInput(placeholder, value, list, onInput) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = placeholder;
+    input.value = value;
+    if (list) input.setAttribute('list', list);
+    input.addEventListener('input', () => onInput(input.value));
+    return input;
+  }
+
+  function createRemoveButton(title, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'icon-btn';
+    btn.title = title;
+    btn.innerHTML = '&times;';
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  function renderRecipe() {
+    recipeStepsEl.innerHTML = '';
+    recipe.forEach((step, stepIndex) => {
+      const stepEl = document.createElement('div');
+      stepEl.className = 'recipe-step';
+
+      const row = document.createElement('div');
+      row.className = 'recipe-step-row';
+      row.appendChild(createRecipeInput('Area, e.g. Armour', step.area, null, v => { step.area = v; }));
+      row.appendChild(createRecipeInput('Technique, e.g. drybrush', step.technique, null, v => { step.technique = v; }));
+      row.appendChild(createRemoveButton('Remove step', () => {
+        recipe.splice(stepIndex, 1);
+        renderRecipe();
+      }));
+      stepEl.appendChild(row);
+
+      const paintsEl = document.createElement('div');
+      paintsEl.className = 'recipe-paints';
+      step.paints.forEach((paint, paintIndex) => {
+        const paintEl = document.createElement('div');
+        paintEl.className = 'recipe-paint';
+        paintEl.appendChild(createRecipeInput('Brand', paint.brand, 'paint-brand-suggestions', v => { paint.brand = v; }));
+        paintEl.appendChild(createRecipeInput('Paint', paint.name, 'paint-name-suggestions', v => { paint.name = v; }));
+        paintEl.appendChild(createRemoveButton('Remove paint', () => {
+          step.paints.splice(paintIndex, 1);
+          renderRecipe();
+        }));
+        paintsEl.appendChild(paintEl);
+      });
+
+      const addPaintBtn = document.createElement('button');
+      addPaintBtn.type = 'button';
+      addPaintBtn.className = 'link-btn';
+      addPaintBtn.textContent = '+ Add paint';
+      addPaintBtn.addEventListener('click', () => {
+        // New paints default to the brand of the previous one, which is usually the same
+        const lastBrand = step.paints.length ? step.paints[step.paints.length - 1].brand : '';
+        step.paints.push({ brand: lastBrand, name: '' });
+        renderRecipe();
+      });
+      paintsEl.appendChild(addPaintBtn);
+
+      stepEl.appendChild(paintsEl);
+      recipeStepsEl.appendChild(stepEl);
+    });
+  }
+
+  addStepBtn.addEventListener('click', () => {
+    recipe.push({ area: '', technique: '', paints: [{ brand: '', name: '' }] });
+    renderRecipe();
+  });
+
   // --- Slug ---
   function slugify(text) {
     return text.toLowerCase().replace(/[^a-z0-9\\s-]/g, '').replace(/\\s+/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
   }
 
   function isSlugTaken(slug) {
-    return slug && metadata?.slugs?.includes(slug);
+    return slug && slug !== editingSlug && metadata?.slugs?.includes(slug);
   }
 
   titleInput.addEventListener('input', () => {
@@ -714,6 +1226,9 @@ const HTML = `<!DOCTYPE html>
     } else if (isSlugTaken(slug)) {
       slugPreview.textContent = 'Slug: ' + slug + ' (already exists!)';
       slugPreview.classList.add('slug-conflict');
+    } else if (editingSlug && slug !== editingSlug) {
+      slugPreview.textContent = 'Slug: ' + editingSlug + ' → ' + slug + ' (will be renamed)';
+      slugPreview.classList.remove('slug-conflict');
     } else {
       slugPreview.textContent = 'Slug: ' + slug;
       slugPreview.classList.remove('slug-conflict');
@@ -751,7 +1266,7 @@ const HTML = `<!DOCTYPE html>
       const reader = new FileReader();
       reader.onload = (e) => {
         const dataUrl = e.target.result;
-        photos.push({ id: nextId++, originalDataUrl: dataUrl, dataUrl });
+        photos.push({ id: nextId++, originalDataUrl: dataUrl, dataUrl, stage: '', caption: '' });
         renderThumbnails();
         updateSaveBtn();
       };
@@ -794,8 +1309,26 @@ const HTML = `<!DOCTYPE html>
       fnLabel.className = 'thumb-filename';
       fnLabel.textContent = filename;
 
+      // Optional work-in-progress stage (e.g. "Primed") and caption shown in the lightbox
+      const stageInput = document.createElement('input');
+      stageInput.type = 'text';
+      stageInput.className = 'thumb-stage';
+      stageInput.placeholder = 'Stage';
+      stageInput.setAttribute('list', 'stage-suggestions');
+      stageInput.value = photo.stage;
+      stageInput.addEventListener('input', () => { photo.stage = stageInput.value; });
+
+      const captionInput = document.createElement('input');
+      captionInput.type = 'text';
+      captionInput.className = 'thumb-caption';
+      captionInput.placeholder = 'Caption';
+      captionInput.value = photo.caption;
+      captionInput.addEventListener('input', () => { photo.caption = captionInput.value; });
+
       wrapper.appendChild(div);
       wrapper.appendChild(fnLabel);
+      wrapper.appendChild(stageInput);
+      wrapper.appendChild(captionInput);
 
       // Drag events for reordering
       wrapper.addEventListener('dragstart', (e) => {
@@ -869,6 +1402,7 @@ const HTML = `<!DOCTYPE html>
       ctx.rotate((degrees * Math.PI) / 180);
       ctx.drawImage(img, -img.width / 2, -img.height / 2);
       photo.dataUrl = canvas.toDataURL('image/png');
+      delete photo.file;
       renderThumbnails();
     };
     img.src = photo.dataUrl;
@@ -925,6 +1459,7 @@ const HTML = `<!DOCTYPE html>
 
     const canvas = cropper.getCroppedCanvas({ imageSmoothingEnabled: true, imageSmoothingQuality: 'high' });
     photo.dataUrl = canvas.toDataURL('image/png');
+    delete photo.file;
     closeCropModal();
     renderThumbnails();
   });
@@ -953,6 +1488,10 @@ const HTML = `<!DOCTYPE html>
     setDropdownValue('scale', '28mm');
     setDropdownValue('game', '');
     setDropdownValue('faction', '');
+    projectSelect.value = '';
+    setTags([]);
+    descriptionInput.value = '';
+    setRecipe([]);
     updateSaveBtn();
   });
 
@@ -963,8 +1502,9 @@ const HTML = `<!DOCTYPE html>
     statusEl.style.display = 'none';
 
     try {
-      // Export all photos from canvas as PNG data URLs
-      const photoDataUrls = photos.map(p => p.dataUrl);
+      // Unmodified saved photos are sent by filename, everything else as data URLs that the
+      // server processes with the photo settings
+      const photoSources = photos.map(p => ({ src: p.file ?? p.dataUrl, stage: p.stage, caption: p.caption }));
 
       const orderVal = orderInput.value ? parseInt(orderInput.value, 10) : null;
 
@@ -976,11 +1516,17 @@ const HTML = `<!DOCTYPE html>
         game: getFieldValue('game'),
         faction: getFieldValue('faction'),
         order: orderVal,
-        photos: photoDataUrls,
+        project: projectSelect.value,
+        tags: [...tags],
+        description: descriptionInput.value,
+        recipe,
+        photos: photoSources,
+        photoOptions: getPhotoOptions(),
       };
 
-      const res = await fetch('/api/save', {
-        method: 'POST',
+      const wasEditing = editingSlug !== null;
+      const res = await fetch(wasEditing ? '/api/miniatures/' + editingSlug : '/api/save', {
+        method: wasEditing ? 'PUT' : 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
       });
@@ -991,7 +1537,7 @@ const HTML = `<!DOCTYPE html>
         statusEl.className = 'status error visible';
         statusEl.innerHTML = data.error || 'Save failed';
         saveBtn.disabled = false;
-        saveBtn.textContent = 'Save Miniature';
+        saveBtn.textContent = saveLabel();
         return;
       }
 
@@ -1002,6 +1548,15 @@ const HTML = `<!DOCTYPE html>
       statusEl.className = 'status success visible';
       statusEl.innerHTML = html;
 
+      if (wasEditing) {
+        exitEditMode();
+        await loadMetadata();
+        await loadMiniatureList();
+        await loadLogos();
+        await loadTaxonomy();
+        return;
+      }
+
       // Remember current values before refreshing dropdowns
       const keepDate = payload.date;
       const keepManufacturer = payload.manufacturer;
@@ -1017,6 +1572,9 @@ const HTML = `<!DOCTYPE html>
 
       // Refresh metadata (new slugs, new dropdown values)
       await loadMetadata();
+      await loadMiniatureList();
+      await loadLogos();
+      await loadTaxonomy();
 
       // Restore kept values in the refreshed dropdowns
       dateInput.value = keepDate;
@@ -1033,14 +1591,579 @@ const HTML = `<!DOCTYPE html>
       statusEl.className = 'status error visible';
       statusEl.innerHTML = 'Network error: ' + err.message;
       saveBtn.disabled = false;
-      saveBtn.textContent = 'Save Miniature';
+      saveBtn.textContent = saveLabel();
+    }
+  });
+
+  // --- Existing miniatures ---
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function loadMiniatureList() {
+    return fetch('/api/miniatures')
+      .then(r => r.json())
+      .then(renderMiniatureList);
+  }
+
+  function renderMiniatureList(miniatures) {
+    miniatureListEl.innerHTML = '';
+    for (const mini of miniatures) {
+      const row = document.createElement('div');
+      row.className = 'miniature-row';
+      row.dataset.slug = mini.slug;
+      row.classList.toggle('editing', mini.slug === editingSlug);
+      row.innerHTML = \`
+        <div class="miniature-row-info">
+          <span>\${escapeHtml(mini.title)}</span>
+          <span class="miniature-row-meta">\${mini.slug} · \${mini.date} · \${mini.photos.length} photo\${mini.photos.length === 1 ? '' : 's'}</span>
+        </div>
+        <button class="btn btn-secondary" type="button" data-action="edit">Edit</button>
+        <button class="btn btn-danger" type="button" data-action="delete">Delete</button>
+      \`;
+
+      row.addEventListener('click', (e) => {
+        const action = e.target.dataset?.action;
+        if (action === 'edit') editMiniature(mini.slug);
+        else if (action === 'delete') deleteMiniature(mini);
+      });
+
+      miniatureListEl.appendChild(row);
+    }
+  }
+
+  async function editMiniature(slug) {
+    const res = await fetch('/api/miniatures/' + slug);
+    const data = await res.json();
+    if (!res.ok) {
+      statusEl.className = 'status error visible';
+      statusEl.innerHTML = data.error || 'Failed to load miniature';
+      return;
     }
+
+    editingSlug = slug;
+    pageTitle.textContent = 'Edit Miniature';
+    cancelEditBtn.style.display = '';
+    statusEl.className = 'status';
+
+    titleInput.value = data.title;
+    dateInput.value = data.date;
+    orderInput.value = data.order ?? '';
+    setDropdownValue('manufacturer', data.manufacturer);
+    setDropdownValue('scale', data.scale);
+    setDropdownValue('game', data.game);
+    setDropdownValue('faction', data.faction);
+    projectSelect.value = data.project;
+    setTags(data.tags);
+    descriptionInput.value = data.description;
+    setRecipe(data.recipe);
+
+    photos = data.photos.map(p => ({
+      id: nextId++,
+      originalDataUrl: p.dataUrl,
+      dataUrl: p.dataUrl,
+      file: p.file,
+      stage: p.stage,
+      caption: p.caption,
+    }));
+
+    titleInput.dispatchEvent(new Event('input'));
+    saveBtn.textContent = saveLabel();
+    miniatureListEl.querySelectorAll('.miniature-row').forEach(row => {
+      row.classList.toggle('editing', row.dataset.slug === slug);
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  }
+
+  async function deleteMiniature(mini) {
+    if (!confirm('Delete "' + mini.title + '" and its ' + mini.photos.length + ' photo(s)?')) return;
+
+    const res = await fetch('/api/miniatures/' + mini.slug, { method: 'DELETE' });
+    const data = await res.json();
+    statusEl.className = 'status visible ' + (res.ok ? 'success' : 'error');
+    statusEl.innerHTML = res.ok ? data.message : (data.error || 'Delete failed');
+
+    if (res.ok && mini.slug === editingSlug) exitEditMode();
+    await loadMetadata();
+    await loadMiniatureList();
+    await loadLogos();
+    await loadTaxonomy();
+  }
+
+  function exitEditMode() {
+    editingSlug = null;
+    pageTitle.textContent = 'Add Miniature';
+    cancelEditBtn.style.display = 'none';
+    photos = [];
+    renderThumbnails();
+    clearBtn.click();
+    saveBtn.textContent = saveLabel();
+    miniatureListEl.querySelectorAll('.miniature-row.editing').forEach(row => row.classList.remove('editing'));
+  }
+
+  function getPhotoOptions() {
+    return { maxEdge: photoMaxEdgeInput.value, format: photoFormatSelect.value };
+  }
+
+  function saveLabel() {
+    return editingSlug ? 'Update Miniature' : 'Save Miniature';
+  }
+
+  cancelEditBtn.addEventListener('click', () => {
+    statusEl.className = 'status';
+    exitEditMode();
   });
+
+  // --- Bulk import ---
+  const importFilesInput = document.getElementById('import-files');
+  const importPreviewEl = document.getElementById('import-preview');
+  const importPreviewBtn = document.getElementById('import-preview-btn');
+  const importConfirmBtn = document.getElementById('import-confirm-btn');
+  const importStatusEl = document.getElementById('import-status');
+  const importFieldIds = ['manufacturer', 'scale', 'date', 'game', 'faction'];
+  document.getElementById('import-date').value = new Date().toISOString().split('T')[0];
+
+  // The request of the last preview; confirming re-sends exactly what was previewed
+  let importRequest = null;
+
+  function readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  async function buildImportRequest() {
+    const selected = [...importFilesInput.files];
+    const manifestFile = selected.find(file => /\.(csv|json)$/i.test(file.name));
+    const photoFiles = selected.filter(file => file !== manifestFile);
+    return {
+      files: await Promise.all(photoFiles.map(async file => ({ name: file.name, dataUrl: await readAsDataUrl(file) }))),
+      manifest: manifestFile ? { name: manifestFile.name, text: await manifestFile.text() } : undefined,
+      shared: Object.fromEntries(importFieldIds.map(id => [id, document.getElementById('import-' + id).value.trim()])),
+      photoOptions: getPhotoOptions(),
+    };
+  }
+
+  function resetImportPreview() {
+    importRequest = null;
+    importPreviewEl.innerHTML = '';
+    importConfirmBtn.disabled = true;
+    importConfirmBtn.textContent = 'Import';
+    importPreviewBtn.disabled = importFilesInput.files.length === 0;
+  }
+
+  function renderImportPreview(data) {
+    if (!data.rows?.length) {
+      importPreviewEl.innerHTML = '';
+      return;
+    }
+
+    const rows = data.rows.map(row => {
+      let status = '<span class="import-ok">&#10003; Ready</span>';
+      if (row.error) {
+        status = '<span class="import-error">&#10007; ' + escapeHtml(row.error) + '</span>';
+      } else if (row.warnings.length) {
+        status += row.warnings.map(w => '<div class="import-warning">&#9888; ' + escapeHtml(w) + '</div>').join('');
+      }
+      return \`
+        <tr>
+          <td>\${escapeHtml(row.title)}<div class="miniature-row-meta">\${escapeHtml(row.slug)}</div></td>
+          <td>\${row.photos.map(escapeHtml).join('<br>')}</td>
+          <td>\${escapeHtml(row.manufacturer)}</td>
+          <td>\${escapeHtml(row.game)}</td>
+          <td>\${escapeHtml(row.faction)}</td>
+          <td>\${escapeHtml(row.date)}</td>
+          <td>\${escapeHtml(row.scale)}</td>
+          <td>\${status}</td>
+        </tr>
+      \`;
+    }).join('');
+
+    importPreviewEl.innerHTML = \`
+      <table>
+        <thead>
+          <tr><th>Title</th><th>Photos</th><th>Manufacturer</th><th>Game</th><th>Faction</th><th>Date</th><th>Scale</th><th></th></tr>
+        </thead>
+        <tbody>\${rows}</tbody>
+      </table>
+    \`;
+    if (data.unassigned?.length) {
+      importPreviewEl.innerHTML += '<div class="import-unassigned">&#9888; Not in the manifest, will be skipped: '
+        + data.unassigned.map(escapeHtml).join(', ') + '</div>';
+    }
+  }
+
+  async function postImport(confirm) {
+    const res = await fetch('/api/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...importRequest, confirm }),
+    });
+    return { ok: res.ok, data: await res.json() };
+  }
+
+  importFilesInput.addEventListener('change', resetImportPreview);
+  importFieldIds.forEach(id => document.getElementById('import-' + id).addEventListener('input', resetImportPreview));
+
+  importPreviewBtn.addEventListener('click', async () => {
+    importPreviewBtn.disabled = true;
+    importStatusEl.className = 'status';
+    try {
+      importRequest = await buildImportRequest();
+      const { ok, data } = await postImport(false);
+      renderImportPreview(data);
+      const ready = ok && data.rows.every(row => !row.error);
+      importConfirmBtn.disabled = !ready;
+      importConfirmBtn.textContent = ready ? 'Import ' + data.rows.length + ' miniature' + (data.rows.length > 1 ? 's' : '') : 'Import';
+      if (!ok) {
+        importStatusEl.className = 'status error visible';
+        importStatusEl.innerHTML = escapeHtml(data.error || 'Preview failed');
+      }
+    } catch (err) {
+      importStatusEl.className = 'status error visible';
+      importStatusEl.innerHTML = 'Network error: ' + escapeHtml(err.message);
+    }
+    importPreviewBtn.disabled = false;
+  });
+
+  importConfirmBtn.addEventListener('click', async () => {
+    importConfirmBtn.disabled = true;
+    importConfirmBtn.textContent = 'Importing...';
+    try {
+      const { ok, data } = await postImport(true);
+      if (!ok) {
+        renderImportPreview(data);
+        importStatusEl.className = 'status error visible';
+        importStatusEl.innerHTML = escapeHtml(data.error || 'Import failed');
+        importConfirmBtn.textContent = 'Import';
+        return;
+      }
+      importStatusEl.className = 'status success visible';
+      importStatusEl.innerHTML = escapeHtml(data.message);
+      importFilesInput.value = '';
+      resetImportPreview();
+      await loadMetadata();
+      await loadMiniatureList();
+      await loadLogos();
+      await loadTaxonomy();
+    } catch (err) {
+      importStatusEl.className = 'status error visible';
+      importStatusEl.innerHTML = 'Network error: ' + escapeHtml(err.message);
+      importConfirmBtn.disabled = false;
+      importConfirmBtn.textContent = 'Import';
+    }
+  });
+
+  // --- Taxonomy ---
+  const TAXONOMY_GROUPS = [
+    ['manufacturer', 'Manufacturers'],
+    ['game', 'Games'],
+    ['faction', 'Factions'],
+    ['scale', 'Scales'],
+    ['tag', 'Tags'],
+  ];
+  const taxonomyEl = document.getElementById('taxonomy');
+  const renameFieldSelect = document.getElementById('rename-field');
+  const renameFromSelect = document.getElementById('rename-from');
+  const renameToInput = document.getElementById('rename-to');
+  const renamePreviewEl = document.getElementById('rename-preview');
+  const renamePreviewBtn = document.getElementById('rename-preview-btn');
+  const renameConfirmBtn = document.getElementById('rename-confirm-btn');
+  const renameStatusEl = document.getElementById('rename-status');
+  let taxonomy = null;
+
+  // The request of the last preview; confirming re-sends exactly what was previewed
+  let renameRequest = null;
+
+  function loadTaxonomy() {
+    return fetch('/api/taxonomy')
+      .then(r => r.json())
+      .then(data => {
+        taxonomy = data;
+        renderTaxonomy();
+        populateRenameValues(renameFromSelect.value);
+      });
+  }
+
+  function renderTaxonomy() {
+    taxonomyEl.innerHTML = '';
+    for (const [field, label] of TAXONOMY_GROUPS) {
+      if (!taxonomy[field].length) continue;
+      const group = document.createElement('div');
+      group.className = 'logo-group';
+      group.innerHTML = '<h3>' + label + '</h3>';
+
+      for (const entry of taxonomy[field]) {
+        let meta = entry.count + ' miniature' + (entry.count === 1 ? '' : 's');
+        if (entry.logo) {
+          meta += ' · ' + entry.logo.file + (entry.logo.hasLogo ? (entry.logo.hasLight ? ' (+ light)' : '') : ' (missing)');
+          if (!entry.entry) meta += ' · not in taxonomy/' + entry.logo.file.split('/')[0] + '.yaml';
+          else if (entry.entry.game) meta += ' · under ' + entry.entry.game;
+        }
+        const row = document.createElement('div');
+        row.className = 'logo-row taxonomy-row';
+        row.innerHTML = \`
+          <div class="logo-row-info">
+            <span>\${escapeHtml(entry.value)}</span>
+            <span class="logo-row-meta\${entry.logo && (!entry.logo.hasLogo || !entry.entry) ? ' missing' : ''}">\${escapeHtml(meta)}</span>
+          </div>
+          <button class="btn btn-secondary" type="button">Rename</button>
+        \`;
+        row.querySelector('button').addEventListener('click', () => startRename(field, entry.value));
+        group.appendChild(row);
+      }
+
+      taxonomyEl.appendChild(group);
+    }
+  }
+
+  function populateRenameValues(selected) {
+    const values = taxonomy[renameFieldSelect.value].map(entry => entry.value);
+    renameFromSelect.innerHTML = '';
+    for (const value of values) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = value;
+      renameFromSelect.appendChild(opt);
+    }
+    if (values.includes(selected)) renameFromSelect.value = selected;
+    // Suggesting the existing values makes merging one into another a pick from the list
+    populateDatalist('rename-to-suggestions', values);
+    resetRenamePreview();
+  }
+
+  function startRename(field, value) {
+    renameFieldSelect.value = field;
+    populateRenameValues(value);
+    renameToInput.value = value;
+    renameStatusEl.className = 'status';
+    renameFieldSelect.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    renameToInput.focus();
+    renameToInput.select();
+  }
+
+  function resetRenamePreview() {
+    renameRequest = null;
+    renamePreviewEl.innerHTML = '';
+    renameConfirmBtn.disabled = true;
+    renameConfirmBtn.textContent = 'Rename';
+    const to = renameToInput.value.trim();
+    renamePreviewBtn.disabled = !renameFromSelect.value || !to || to === renameFromSelect.value;
+  }
+
+  function renderRenamePreview(data) {
+    const files = data.diff.map(({ file, lines }) => \`
+      <div class="diff-file">\${escapeHtml(file)}</div>
+      <pre>\${lines.map(line => '<span class="' + (line.startsWith('-') ? 'diff-del' : 'diff-add') + '">' + escapeHtml(line) + '</span>').join('\\n')}</pre>
+    \`).join('');
+    const logos = data.logos.map(logo => '<div class="diff-file">' + (logo.action === 'move'
+      ? 'Move ' + escapeHtml(logo.file) + ' to ' + escapeHtml(logo.to)
+      : 'Delete ' + escapeHtml(logo.file) + ', keeping ' + escapeHtml(logo.keep)) + '</div>').join('');
+    const warnings = data.warnings.map(w => '<div class="import-warning">&#9888; ' + escapeHtml(w) + '</div>').join('');
+    renamePreviewEl.innerHTML = '<p>' + escapeHtml(data.message) + ':</p>' + files + logos + warnings;
+  }
+
+  async function postRename(dryRun) {
+    const res = await fetch('/api/taxonomy/rename', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...renameRequest, dryRun }),
+    });
+    return { ok: res.ok, data: await res.json() };
+  }
+
+  renameFieldSelect.addEventListener('change', () => populateRenameValues());
+  renameFromSelect.addEventListener('change', resetRenamePreview);
+  renameToInput.addEventListener('input', resetRenamePreview);
+
+  renamePreviewBtn.addEventListener('click', async () => {
+    renamePreviewBtn.disabled = true;
+    renameStatusEl.className = 'status';
+    try {
+      renameRequest = { field: renameFieldSelect.value, from: renameFromSelect.value, to: renameToInput.value.trim() };
+      const { ok, data } = await postRename(true);
+      if (ok) {
+        renderRenamePreview(data);
+        renameConfirmBtn.disabled = false;
+        renameConfirmBtn.textContent = data.merge ? 'Merge' : 'Rename';
+      } else {
+        renameStatusEl.className = 'status error visible';
+        renameStatusEl.innerHTML = escapeHtml(data.error || 'Preview failed');
+      }
+    } catch (err) {
+      renameStatusEl.className = 'status error visible';
+      renameStatusEl.innerHTML = 'Network error: ' + escapeHtml(err.message);
+    }
+    renamePreviewBtn.disabled = false;
+  });
+
+  renameConfirmBtn.addEventListener('click', async () => {
+    renameConfirmBtn.disabled = true;
+    try {
+      const { ok, data } = await postRename(false);
+      renameStatusEl.className = 'status visible ' + (ok ? 'success' : 'error');
+      renameStatusEl.innerHTML = escapeHtml(ok ? data.message : (data.error || 'Rename failed'));
+      if (!ok) return;
+      renameToInput.value = '';
+      await loadMetadata();
+      await loadMiniatureList();
+      await loadLogos();
+      await loadTaxonomy();
+    } catch (err) {
+      renameStatusEl.className = 'status error visible';
+      renameStatusEl.innerHTML = 'Network error: ' + escapeHtml(err.message);
+      renameConfirmBtn.disabled = false;
+    }
+  });
+
+  // --- Logos ---
+  const LOGO_GROUPS = [
+    ['manufacturers', 'Manufacturers'],
+    ['games', 'Games'],
+    ['factions', 'Factions'],
+  ];
+  let logoUploadTarget = null;
+
+  function loadLogos() {
+    return fetch('/api/logos')
+      .then(r => r.json())
+      .then(renderLogos);
+  }
+
+  function renderLogos(logos) {
+    logosEl.innerHTML = '';
+    const cacheBust = Date.now();
+
+    for (const [type, label] of LOGO_GROUPS) {
+      const group = document.createElement('div');
+      group.className = 'logo-group';
+      group.innerHTML = '<h3>' + label + '</h3>';
+
+      for (const logo of logos[type]) {
+        const lightFile = logo.file.replace(/\\.png$/, '-light.png');
+        const row = document.createElement('div');
+        row.className = 'logo-row';
+        row.innerHTML = \`
+          <div class="logo-row-info">
+            <span>\${escapeHtml(logo.name)}</span>
+            <span class="logo-row-meta\${logo.hasLogo ? '' : ' missing'}">\${type}/\${escapeHtml(logo.file)}\${logo.hasLogo ? '' : ' (missing)'}</span>
+          </div>
+        \`;
+
+        row.appendChild(createLogoSlot(type, logo.name, 'default', logo.hasLogo && '/logos/' + type + '/' + encodeURIComponent(logo.file) + '?v=' + cacheBust));
+        row.appendChild(createLogoSlot(type, logo.name, 'light', logo.hasLight && '/logos/' + type + '/' + encodeURIComponent(lightFile) + '?v=' + cacheBust));
+        group.appendChild(row);
+      }
+
+      logosEl.appendChild(group);
+    }
+  }
+
+  function createLogoSlot(type, name, variant, src) {
+    const slot = document.createElement('div');
+    slot.className = 'logo-slot logo-slot-' + variant;
+    slot.title = (variant === 'light' ? 'Light theme variant' : 'Logo') + ' — drop or click to upload';
+    if (src) {
+      slot.classList.add('has-logo');
+      slot.innerHTML = '<img src="' + src + '" alt="">';
+    } else if (variant === 'light') {
+      slot.textContent = 'No light variant';
+    } else {
+      slot.classList.add('missing');
+      slot.textContent = 'Missing logo';
+    }
+
+    slot.addEventListener('click', () => {
+      logoUploadTarget = { type, name, variant };
+      logoFileInput.click();
+    });
+    slot.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      slot.classList.add('drag-over');
+    });
+    slot.addEventListener('dragleave', () => {
+      slot.classList.remove('drag-over');
+    });
+    slot.addEventListener('drop', (e) => {
+      e.preventDefault();
+      slot.classList.remove('drag-over');
+      const file = e.dataTransfer.files[0];
+      if (file) uploadLogo({ type, name, variant }, file);
+    });
+
+    return slot;
+  }
+
+  logoFileInput.addEventListener('change', () => {
+    const file = logoFileInput.files[0];
+    if (file && logoUploadTarget) uploadLogo(logoUploadTarget, file);
+    logoFileInput.value = '';
+    logoUploadTarget = null;
+  });
+
+  function uploadLogo(target, file) {
+    if (!file.type.match(/^image\\/(png|jpeg|webp)$/)) return;
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        const res = await fetch('/api/logos', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...target, data: e.target.result }),
+        });
+        const data = await res.json();
+        logoStatusEl.className = 'status visible ' + (res.ok ? 'success' : 'error');
+        logoStatusEl.innerHTML = escapeHtml(res.ok ? data.message : (data.error || 'Upload failed'));
+        await loadLogos();
+      } catch (err) {
+        logoStatusEl.className = 'status error visible';
+        logoStatusEl.innerHTML = 'Network error: ' + escapeHtml(err.message);
+      }
+    };
+    reader.readAsDataURL(file);
+  }
 })();
 <\/script>
 </body>
 </html>`;
 
+function sendJson(res, result) {
+  res.writeHead(result.status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(result.body));
+}
+
+// For routes that read the catalog, which throws on a malformed miniature file
+function handleRead(res, handler) {
+  try {
+    sendJson(res, { status: 200, body: handler() });
+  } catch (err) {
+    sendJson(res, { status: 500, body: { error: err.message } });
+  }
+}
+
+function handleWithBody(req, res, handler) {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (err) {
+      sendJson(res, { status: 400, body: { error: `Invalid JSON: ${err.message}` } });
+      return;
+    }
+    Promise.resolve()
+      .then(() => handler(data))
+      .then(result => sendJson(res, result))
+      .catch(err => sendJson(res, { status: 500, body: { error: err.message } }));
+  });
+}
+
 const server = createServer((req, res) => {
   const url = new URL(req.url, `http://localhost:${PORT}`);
 
@@ -1051,31 +2174,94 @@ const server = createServer((req, res) => {
   }
 
   if (url.pathname === '/api/metadata' && req.method === 'GET') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(getMetadata()));
+    handleRead(res, getMetadata);
     return;
   }
 
   if (url.pathname === '/api/save' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', () => {
-      try {
-        const result = handleSave(body);
-        res.writeHead(result.status, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(result.body));
-      } catch (err) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
-      }
-    });
+    handleWithBody(req, res, data => saveMiniature(data, null));
+    return;
+  }
+
+  if (url.pathname === '/api/import' && req.method === 'POST') {
+    handleWithBody(req, res, handleImport);
+    return;
+  }
+
+  if (url.pathname === '/api/logos' && req.method === 'GET') {
+    handleRead(res, getLogos);
+    return;
+  }
+
+  if (url.pathname === '/api/logos' && req.method === 'POST') {
+    handleWithBody(req, res, saveLogo);
     return;
   }
 
+  if (url.pathname === '/api/taxonomy' && req.method === 'GET') {
+    handleRead(res, getTaxonomy);
+    return;
+  }
+
+  if (url.pathname === '/api/taxonomy/rename' && req.method === 'POST') {
+    handleWithBody(req, res, ({ field, from, to, dryRun }) => renameValue(field, from, to, { dryRun }));
+    return;
+  }
+
+  const logoFileMatch = url.pathname.match(/^\/logos\/(manufacturers|games|factions)\/([^/]+\.png)$/);
+  if (logoFileMatch && req.method === 'GET') {
+    let logoPath;
+    try {
+      logoPath = getLogoPath(logoFileMatch[1], decodeURIComponent(logoFileMatch[2]));
+    } catch (err) {
+      sendJson(res, { status: 400, body: { error: err.message } });
+      return;
+    }
+    if (logoPath && existsSync(logoPath)) {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-cache' });
+      res.end(readFileSync(logoPath));
+      return;
+    }
+  }
+
+  if (url.pathname === '/api/miniatures' && req.method === 'GET') {
+    handleRead(res, listMiniatures);
+    return;
+  }
+
+  const miniatureMatch = url.pathname.match(/^\/api\/miniatures\/([a-z0-9-]+)$/);
+  if (miniatureMatch) {
+    const slug = miniatureMatch[1];
+    try {
+      if (req.method === 'GET') {
+        sendJson(res, handleGetMiniature(slug));
+        return;
+      }
+      if (req.method === 'PUT') {
+        handleWithBody(req, res, data => updateMiniature(slug, data));
+        return;
+      }
+      if (req.method === 'DELETE') {
+        sendJson(res, deleteMiniature(slug));
+        return;
+      }
+    } catch (err) {
+      sendJson(res, { status: 500, body: { error: err.message } });
+      return;
+    }
+  }
+
   res.writeHead(404, { 'Content-Type': 'text/plain' });
   res.end('Not found');
 });
 
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Admin tool running at http://0.0.0.0:${PORT}`);
-});
+// `node scripts/admin.mjs <command>` runs a CLI command (see scripts/lib/cli.mjs); without one the
+// web admin starts
+const args = process.argv.slice(2);
+if (args.length) {
+  runCli(args).then(code => { process.exitCode = code; });
+} else {
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`Admin tool running at http://0.0.0.0:${PORT}`);
+  });
+}
@@ -0,0 +1,8 @@
+// `npm run check-content` runs the same content check as the build and prints its report, exiting
+// non-zero if it found errors
+import { validateCatalog } from './lib/catalog.mjs';
+import { formatReport } from './lib/content-check.mjs';
+
+const { body } = validateCatalog();
+console.log(formatReport(body));
+process.exitCode = body.valid ? 0 : 1;
@@ -0,0 +1,1195 @@
+// Everything the admin tool knows about the catalog: reading, validating and writing miniature
+// entries, their photos and the logos. Shared by the web admin and the CLI in scripts/admin.mjs,
+// so both go through the same checks. Functions that back an action return `{ status, body }`,
+// which the server sends as-is and the CLI prints.
+import { readFileSync, writeFileSync, readdirSync, existsSync, renameSync, copyFileSync, unlinkSync } from 'node:fs';
+import { join, resolve, basename, dirname, extname } from 'node:path';
+import sharp from 'sharp';
+import { Document, isScalar, parseDocument } from 'yaml';
+import { z } from 'astro/zod';
+import { factionSchema, miniatureSchema, projectSchema, taxonomySchema } from '../../src/schemas.mjs';
+
+const ROOT = resolve(import.meta.dirname, '../..');
+export const MINIATURES_DIR = join(ROOT, 'src/content/miniatures');
+const PROJECTS_DIR = join(ROOT, 'src/content/projects');
+const TAXONOMY_DIR = join(ROOT, 'src/content/taxonomy');
+export const PHOTOS_DIR = join(ROOT, 'src/assets/photos');
+export const LOGOS_DIR = join(ROOT, 'src/assets/logos');
+
+// Logos are shown in 72px filter chips and 54px in the lightbox caption; a 256px square canvas
+// (the size most existing logos use) keeps them sharp on high-DPI screens
+const LOGO_SIZE = 256;
+export const LOGO_TYPES = ['manufacturers', 'games', 'factions'];
+
+// Path of a logo file, or null if the name would lead out of its type's directory (like "../x.png")
+export function getLogoPath(type, filename) {
+  const dir = join(LOGOS_DIR, type);
+  const path = resolve(dir, filename);
+  return dirname(path) === dir ? path : null;
+}
+
+const PHOTO_REF_PREFIX = '../../assets/photos/';
+
+// New photos are turned upright from their EXIF orientation, downscaled to fit within this many
+// pixels on their longest edge and re-encoded, which also drops their metadata: nothing like the
+// camera's GPS position ends up in git. Both the size and the format can be chosen per save.
+export const PHOTO_MAX_EDGE = 2560;
+export const DEFAULT_PHOTO_FORMAT = 'png';
+// PNG and WebP are stored losslessly; JPEG trades an invisible quality loss for much smaller files
+export const PHOTO_FORMATS = {
+  png: { extension: 'png', encode: image => image.png({ compressionLevel: 9 }) },
+  webp: { extension: 'webp', encode: image => image.webp({ lossless: true }) },
+  jpeg: { extension: 'jpg', encode: image => image.jpeg({ quality: 90, mozjpeg: true }) },
+};
+
+// Bulk import accepts the formats the form does; manifests can set any of these fields per miniature
+const IMPORT_PHOTO_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp']);
+const IMPORT_FIELDS = ['title', 'manufacturer', 'date', 'scale', 'game', 'faction', 'order', 'project', 'tags'];
+
+// Entries are validated against the collection schema before they are written. Photos are
+// plain path strings here and projects plain slugs; Astro resolves both at build time.
+const entrySchema = miniatureSchema({ photo: z.string(), project: z.string() });
+const projectEntrySchema = projectSchema({ photo: z.string() });
+const taxonomyEntrySchemas = {
+  manufacturers: taxonomySchema(),
+  games: taxonomySchema(),
+  factions: factionSchema({ game: z.string() }),
+};
+
+// Matches the hand-written entries: double-quoted strings, plain keys, no line folding
+const YAML_OPTIONS = { defaultStringType: 'QUOTE_DOUBLE', defaultKeyType: 'PLAIN', lineWidth: 0 };
+
+export function slugify(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+export function toKebabCase(name) {
+  return name.toLowerCase().replace(/\s+/g, '-');
+}
+
+function photoFilename(slug, index, extension) {
+  const suffix = index === 0 ? '' : `-${index + 1}`;
+  return `${slug}${suffix}.${extension}`;
+}
+
+function isDataUrl(value) {
+  return typeof value === 'string' && value.startsWith('data:');
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024 ? `${Math.round(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function parsePhotoOptions({ maxEdge = PHOTO_MAX_EDGE, format = DEFAULT_PHOTO_FORMAT } = {}) {
+  const edge = Number(maxEdge);
+  if (!Number.isInteger(edge) || edge <= 0) {
+    return { error: `Invalid longest edge "${maxEdge}", expected a number of pixels` };
+  }
+  if (!Object.hasOwn(PHOTO_FORMATS, format)) {
+    return { error: `Unknown photo format "${format}", expected one of ${Object.keys(PHOTO_FORMATS).join(', ')}` };
+  }
+  return { options: { maxEdge: edge, format } };
+}
+
+// Takes a data URL from the web form or the file contents from the CLI and bulk import
+async function processPhoto(source, { maxEdge, format }) {
+  const input = Buffer.isBuffer(source) ? source : Buffer.from(source.replace(/^data:[^,]*,/, ''), 'base64');
+  const image = sharp(input)
+    .rotate()
+    .resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true });
+  const { extension, encode } = PHOTO_FORMATS[format];
+  return { buffer: await encode(image).toBuffer(), extension, originalSize: input.length };
+}
+
+function isProcessedPhoto(source) {
+  return Buffer.isBuffer(source?.buffer);
+}
+
+// Processes the new photos of a save, leaving the existing ones (given by filename) as they are.
+// One at a time, since a batch of full-size phone photos takes a lot of memory.
+async function processPhotos(photos = [], photoOptions) {
+  const { error, options } = parsePhotoOptions(photoOptions);
+  if (error) return { error };
+
+  const processed = [];
+  for (const [i, photo] of photos.entries()) {
+    const entry = typeof photo === 'string' || Buffer.isBuffer(photo) ? { src: photo } : photo;
+    if (!isDataUrl(entry.src) && !Buffer.isBuffer(entry.src)) {
+      processed.push(entry);
+      continue;
+    }
+    try {
+      processed.push({ ...entry, src: await processPhoto(entry.src, options) });
+    } catch (err) {
+      return { error: `Could not read photo ${i + 1}: ${err.message}` };
+    }
+  }
+  return { photos: processed };
+}
+
+// How much the processed photos of a save shrank (or grew), for the success message
+function describePhotoSizes(photoFilenames) {
+  const processed = photoFilenames.filter(({ source }) => isProcessedPhoto(source));
+  const before = processed.reduce((sum, { source }) => sum + source.originalSize, 0);
+  const after = processed.reduce((sum, { source }) => sum + source.buffer.length, 0);
+  return {
+    count: processed.length,
+    summary: `${formatSize(before)} → ${formatSize(after)}`,
+    sizes: processed.map(({ filename, source }) => ({ file: filename, before: source.originalSize, after: source.buffer.length })),
+  };
+}
+
+function readMiniatureDocument(slug) {
+  const yamlPath = join(MINIATURES_DIR, `${slug}.yaml`);
+  if (!existsSync(yamlPath)) return null;
+
+  const doc = parseDocument(readFileSync(yamlPath, 'utf-8'));
+  if (doc.errors.length) {
+    throw new Error(`Invalid YAML in ${slug}.yaml: ${doc.errors[0].message}`);
+  }
+  return doc;
+}
+
+// One of src/content/taxonomy/{manufacturers,games,factions}.yaml, a map of entries keyed like
+// the logos. Null if the file doesn't exist yet.
+function readTaxonomyDocument(type) {
+  const yamlPath = join(TAXONOMY_DIR, `${type}.yaml`);
+  if (!existsSync(yamlPath)) return null;
+
+  const doc = parseDocument(readFileSync(yamlPath, 'utf-8'));
+  if (doc.errors.length) {
+    throw new Error(`Invalid YAML in taxonomy/${type}.yaml: ${doc.errors[0].message}`);
+  }
+  return doc;
+}
+
+export function readMiniature(slug) {
+  const doc = readMiniatureDocument(slug);
+  if (!doc) return null;
+
+  const entry = doc.toJS() ?? {};
+  return {
+    slug,
+    title: entry.title ?? '',
+    manufacturer: entry.manufacturer ?? '',
+    // The YAML 1.2 core schema has no timestamp type, so dates come back as plain strings
+    date: String(entry.date ?? ''),
+    scale: entry.scale ?? '',
+    game: entry.game ?? '',
+    faction: entry.faction ?? '',
+    order: entry.order ?? null,
+    project: entry.project ?? '',
+    tags: entry.tags ?? [],
+    description: entry.description ?? '',
+    recipe: entry.recipe ?? [],
+    // Photos are referenced relative to the YAML file; only the filename matters here. Staged
+    // photos are written as { src, stage, caption } maps, the rest as bare paths.
+    photos: (Array.isArray(entry.photos) ? entry.photos : []).map(p => typeof p === 'string'
+      ? { file: basename(p), stage: '', caption: '' }
+      : { file: basename(p.src ?? ''), stage: p.stage ?? '', caption: p.caption ?? '' }),
+  };
+}
+
+function listSlugs() {
+  return readdirSync(MINIATURES_DIR)
+    .filter(f => f.endsWith('.yaml'))
+    .map(f => f.replace(/\.yaml$/, ''));
+}
+
+export function listMiniatures() {
+  return listSlugs()
+    .map(readMiniature)
+    .sort((a, b) => b.date.localeCompare(a.date) || (a.order ?? Infinity) - (b.order ?? Infinity));
+}
+
+function listProjects() {
+  if (!existsSync(PROJECTS_DIR)) return [];
+  return readdirSync(PROJECTS_DIR)
+    .filter(f => f.endsWith('.yaml'))
+    .map(f => {
+      const slug = f.replace(/\.yaml$/, '');
+      const entry = parseDocument(readFileSync(join(PROJECTS_DIR, f), 'utf-8')).toJS() ?? {};
+      return { slug, title: entry.title ?? slug };
+    })
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+// Projects whose `cover` is one of the given photo files, with their parsed YAML to rewrite
+function getProjectCovers(files) {
+  const covers = [];
+  for (const { slug } of listProjects()) {
+    const path = join(PROJECTS_DIR, `${slug}.yaml`);
+    const doc = parseDocument(readFileSync(path, 'utf-8'));
+    const cover = doc.get('cover');
+    if (typeof cover === 'string' && files.has(basename(cover))) {
+      covers.push({ slug, path, doc, cover, file: basename(cover) });
+    }
+  }
+  return covers;
+}
+
+export function getMetadata() {
+  const manufacturers = new Set();
+  const games = new Set();
+  const factions = new Set();
+  const scales = new Set();
+  const tags = new Set();
+  const stages = new Set();
+  const paintBrands = new Set();
+  const paintNames = new Set();
+
+  const miniatures = listMiniatures();
+  for (const miniature of miniatures) {
+    if (miniature.manufacturer) manufacturers.add(miniature.manufacturer);
+    if (miniature.game) games.add(miniature.game);
+    if (miniature.faction) factions.add(miniature.faction);
+    if (miniature.scale) scales.add(miniature.scale);
+    miniature.tags.forEach(tag => tags.add(tag));
+    miniature.photos.forEach(photo => photo.stage && stages.add(photo.stage));
+    for (const step of miniature.recipe) {
+      for (const paint of step.paints ?? []) {
+        if (paint.brand) paintBrands.add(paint.brand);
+        if (paint.name) paintNames.add(paint.name);
+      }
+    }
+  }
+
+  return {
+    manufacturers: [...manufacturers].sort(),
+    games: [...games].sort(),
+    factions: [...factions].sort(),
+    scales: [...scales].sort(),
+    tags: [...tags].sort((a, b) => a.localeCompare(b)),
+    stages: [...stages].sort(),
+    paintBrands: [...paintBrands].sort(),
+    paintNames: [...paintNames].sort(),
+    projects: listProjects(),
+    slugs: miniatures.map(m => m.slug),
+  };
+}
+
+// Applies the form fields to `doc`, leaving any other keys (and comments) in the entry untouched
+function applyFields(doc, { title, manufacturer, date, scale, game, faction, order, project, tags, description, recipe }, photos) {
+  doc.set('title', title);
+  doc.set('photos', photos.map(({ filename, stage, caption }) => {
+    const src = `${PHOTO_REF_PREFIX}${filename}`;
+    if (!stage && !caption) return src;
+    const photo = { src };
+    if (stage) photo.stage = stage;
+    if (caption) photo.caption = caption;
+    return photo;
+  }));
+  doc.set('manufacturer', manufacturer);
+  // Dates are written unquoted like the hand-written entries, so YAML loaders read them as dates
+  setScalar(doc, 'date', date, 'PLAIN');
+  doc.set('scale', scale);
+
+  for (const [key, value] of [['game', game], ['faction', faction], ['order', order], ['project', project]]) {
+    if (value) doc.set(key, value);
+    else doc.delete(key);
+  }
+
+  if (tags?.length) doc.set('tags', tags);
+  else doc.delete('tags');
+
+  const notes = description?.trim();
+  if (notes) {
+    // Multi-line notes read much better as a literal block than as an escaped one-liner
+    setScalar(doc, 'description', notes, notes.includes('\n') ? 'BLOCK_LITERAL' : undefined);
+  } else {
+    doc.delete('description');
+  }
+
+  const steps = cleanRecipe(recipe);
+  if (steps.length) doc.set('recipe', steps);
+  else doc.delete('recipe');
+}
+
+// Drops blank rows the form may leave behind, and omits an empty technique
+function cleanRecipe(recipe) {
+  return (recipe ?? [])
+    .map(step => {
+      const cleaned = { area: step.area?.trim() ?? '' };
+      if (step.technique?.trim()) cleaned.technique = step.technique.trim();
+      cleaned.paints = (step.paints ?? [])
+        .map(paint => ({ brand: paint.brand?.trim() ?? '', name: paint.name?.trim() ?? '' }))
+        .filter(paint => paint.name);
+      return cleaned;
+    })
+    .filter(step => step.area || step.paints.length);
+}
+
+// Updates a scalar in place so a comment attached to it survives, optionally forcing its style
+function setScalar(doc, key, value, type) {
+  const node = doc.get(key, true);
+  if (isScalar(node)) {
+    node.value = value;
+  } else {
+    doc.set(key, doc.createNode(value));
+  }
+  if (type) doc.get(key, true).type = type;
+}
+
+function validateEntry(doc) {
+  const result = entrySchema.safeParse(doc.toJS());
+  if (result.success) return null;
+  return result.error.issues
+    .map(issue => `${issue.path.join('.') || 'entry'}: ${issue.message}`)
+    .join('; ');
+}
+
+function getLogoWarnings({ manufacturer, game, faction }) {
+  const warnings = [];
+  if (manufacturer) {
+    const mfrSlug = toKebabCase(manufacturer);
+    if (!existsSync(join(LOGOS_DIR, 'manufacturers', `${mfrSlug}.png`))) {
+      warnings.push(`Missing logo: manufacturers/${mfrSlug}.png`);
+    }
+  }
+  if (game) {
+    const gameSlug = toKebabCase(game);
+    if (!existsSync(join(LOGOS_DIR, 'games', `${gameSlug}.png`))) {
+      warnings.push(`Missing logo: games/${gameSlug}.png`);
+    }
+  }
+  if (faction) {
+    const factionSlug = toKebabCase(faction);
+    if (!existsSync(join(LOGOS_DIR, 'factions', `${factionSlug}.png`))) {
+      warnings.push(`Missing logo: factions/${factionSlug}.png`);
+    }
+  }
+  return warnings;
+}
+
+function getTaxonomyWarnings({ manufacturer, game, faction }) {
+  const warnings = [];
+  for (const [type, value] of [['manufacturers', manufacturer], ['games', game], ['factions', faction]]) {
+    if (value && !readTaxonomyDocument(type)?.has(toKebabCase(value))) {
+      warnings.push(`Missing taxonomy entry: "${toKebabCase(value)}" in taxonomy/${type}.yaml`);
+    }
+  }
+  return warnings;
+}
+
+function getEntryWarnings(data) {
+  return [...getLogoWarnings(data), ...getTaxonomyWarnings(data)];
+}
+
+export async function updateMiniature(slug, data) {
+  const existing = readMiniature(slug);
+  if (!existing) {
+    return { status: 404, body: { error: `No miniature with slug "${slug}"` } };
+  }
+  return saveMiniature(data, existing);
+}
+
+export function deleteMiniature(slug) {
+  const existing = readMiniature(slug);
+  if (!existing) {
+    return { status: 404, body: { error: `No miniature with slug "${slug}"` } };
+  }
+
+  const [cover] = getProjectCovers(new Set(existing.photos.map(({ file }) => file)));
+  if (cover) {
+    return { status: 409, body: { error: `Photo "${cover.file}" is the cover of project "${cover.slug}"` } };
+  }
+
+  for (const { file: filename } of existing.photos) {
+    const photoPath = join(PHOTOS_DIR, filename);
+    if (existsSync(photoPath)) unlinkSync(photoPath);
+  }
+  unlinkSync(join(MINIATURES_DIR, `${slug}.yaml`));
+
+  return {
+    status: 200,
+    body: { message: `Deleted "${existing.title}"`, slug },
+  };
+}
+
+// Writes a new miniature, or rewrites `existing` in place. Each entry in `photos` is either a new
+// photo (a data URL or file contents) or the filename of one of the existing photos, which is
+// moved to its new <slug>-N name so reordering and slug renames don't leave orphans behind. An
+// entry may also be a { src, stage, caption } object wrapping either of those.
+// `data.photoOptions` can set the `maxEdge` and `format` new photos are stored with.
+export async function saveMiniature(data, existing) {
+  const { error: photoError, photos } = await processPhotos(data.photos, data.photoOptions);
+  if (photoError) return { status: 400, body: { error: photoError } };
+
+  const { error, plan } = prepareSave({ ...data, photos }, existing);
+  return error ?? writeMiniature(plan);
+}
+
+// Runs every check a save makes without touching the disk. Returns `{ error }` with the error
+// response, or `{ plan }` to hand to writeMiniature.
+function prepareSave(data, existing) {
+  const { title, manufacturer, date, scale, photos, project } = data;
+
+  const missing = Object.entries({ title, manufacturer, date, scale, photos: photos?.length })
+    .filter(([, value]) => !value)
+    .map(([field]) => field);
+  if (missing.length) {
+    return { error: { status: 400, body: { error: `Missing required fields: ${missing.join(', ')}` } } };
+  }
+
+  if (project && !existsSync(join(PROJECTS_DIR, `${project}.yaml`))) {
+    return { error: { status: 400, body: { error: `Unknown project "${project}"` } } };
+  }
+
+  const slug = slugify(title);
+  if (!slug) {
+    return { error: { status: 400, body: { error: 'Title produces an empty slug' } } };
+  }
+
+  const yamlPath = join(MINIATURES_DIR, `${slug}.yaml`);
+  if (slug !== existing?.slug && existsSync(yamlPath)) {
+    return { error: { status: 409, body: { error: `A miniature with slug "${slug}" already exists` } } };
+  }
+
+  // Check all photo paths before writing anything
+  const ownPhotos = new Set((existing?.photos ?? []).map(({ file }) => file));
+  const photoFilenames = [];
+  for (let i = 0; i < photos.length; i++) {
+    const entry = typeof photos[i] === 'string' ? { src: photos[i] } : photos[i];
+    const { src: source, stage = '', caption = '' } = entry;
+    const processed = isProcessedPhoto(source);
+    if (!processed && !ownPhotos.has(source)) {
+      return { error: { status: 400, body: { error: `Unknown photo "${source}"` } } };
+    }
+    // Kept photos keep their format when reordering renames them
+    const filename = photoFilename(slug, i, processed ? source.extension : extname(source).slice(1));
+    const photoPath = join(PHOTOS_DIR, filename);
+    if (existsSync(photoPath) && !ownPhotos.has(filename)) {
+      return { error: { status: 409, body: { error: `Photo file "${filename}" already exists` } } };
+    }
+    photoFilenames.push({ filename, photoPath, source, stage: stage.trim(), caption: caption.trim() });
+  }
+
+  // Project covers follow their photo to its new name; a photo that is dropped can't be a cover
+  const newNames = new Map(photoFilenames
+    .filter(({ source }) => !isProcessedPhoto(source))
+    .map(({ source, filename }) => [source, filename]));
+  const coverUpdates = [];
+  for (const cover of ownPhotos.size ? getProjectCovers(ownPhotos) : []) {
+    const filename = newNames.get(cover.file);
+    if (!filename) {
+      return { error: { status: 409, body: { error: `Photo "${cover.file}" is the cover of project "${cover.slug}"` } } };
+    }
+    if (filename !== cover.file) {
+      cover.doc.set('cover', `${cover.cover.slice(0, -cover.file.length)}${filename}`);
+      coverUpdates.push(cover);
+    }
+  }
+
+  // Existing entries are rewritten in place, so unknown keys and comments survive the edit
+  const doc = existing ? readMiniatureDocument(existing.slug) : new Document({});
+  applyFields(doc, data, photoFilenames);
+  const validationError = validateEntry(doc);
+  if (validationError) {
+    return { error: { status: 400, body: { error: `Invalid miniature: ${validationError}` } } };
+  }
+
+  return { plan: { data, existing, slug, yamlPath, doc, ownPhotos, photoFilenames, coverUpdates } };
+}
+
+function writeMiniature({ data, existing, slug, yamlPath, doc, ownPhotos, photoFilenames, coverUpdates }) {
+  // Move kept photos aside first, so that reordering can't overwrite a file that is still needed
+  const staged = new Map();
+  for (const { source } of photoFilenames) {
+    if (isProcessedPhoto(source) || staged.has(source)) continue;
+    const tmpPath = join(PHOTOS_DIR, `.${source}.tmp`);
+    renameSync(join(PHOTOS_DIR, source), tmpPath);
+    staged.set(source, tmpPath);
+  }
+
+  // Remove photos that are no longer part of the miniature
+  for (const filename of ownPhotos) {
+    const photoPath = join(PHOTOS_DIR, filename);
+    if (!staged.has(filename) && existsSync(photoPath)) unlinkSync(photoPath);
+  }
+
+  // Save photos
+  for (const { photoPath, source } of photoFilenames) {
+    if (isProcessedPhoto(source)) {
+      writeFileSync(photoPath, source.buffer);
+    } else {
+      copyFileSync(staged.get(source), photoPath);
+    }
+  }
+  for (const tmpPath of staged.values()) unlinkSync(tmpPath);
+
+  writeFileSync(yamlPath, doc.toString(YAML_OPTIONS));
+  for (const cover of coverUpdates) writeFileSync(cover.path, cover.doc.toString(YAML_OPTIONS));
+
+  const renamed = existing && existing.slug !== slug;
+  if (renamed) unlinkSync(join(MINIATURES_DIR, `${existing.slug}.yaml`));
+
+  const photoSizes = describePhotoSizes(photoFilenames);
+  let photoSummary = `${photoFilenames.length} photo${photoFilenames.length > 1 ? 's' : ''}`;
+  if (photoSizes.count) photoSummary += `; ${existing ? `${photoSizes.count} new: ` : ''}${photoSizes.summary}`;
+  let message = `${existing ? 'Updated' : 'Saved'} "${data.title}" (${photoSummary})`;
+  if (renamed) message += ` — renamed from "${existing.slug}"`;
+
+  return {
+    status: 200,
+    body: {
+      message,
+      slug,
+      files: [yamlPath, ...photoFilenames.map(({ photoPath }) => photoPath), ...coverUpdates.map(({ path }) => path)],
+      photoSizes: photoSizes.sizes,
+      warnings: getEntryWarnings(data),
+    },
+  };
+}
+
+// Values that rename-value can change across the whole catalog
+export const RENAMEABLE_FIELDS = ['manufacturer', 'game', 'faction', 'scale', 'tag'];
+const LOGO_TYPE_BY_FIELD = { manufacturer: 'manufacturers', game: 'games', faction: 'factions' };
+
+// The values a miniature has for a renameable field: its tags, or the one scalar if set
+function fieldValues(entry, field) {
+  if (field === 'tag') return entry.tags ?? [];
+  return entry[field] ? [entry[field]] : [];
+}
+
+// Every value of every renameable field with the number of miniatures using it, and for
+// manufacturers, games and factions its taxonomy entry (if any) and the state of its logo
+export function getTaxonomy() {
+  const miniatures = listMiniatures();
+  const entries = Object.fromEntries(LOGO_TYPES.map(type => [type, readTaxonomyDocument(type)?.toJS() ?? {}]));
+  const taxonomy = {};
+  for (const field of RENAMEABLE_FIELDS) {
+    const counts = new Map();
+    for (const miniature of miniatures) {
+      for (const value of fieldValues(miniature, field)) counts.set(value, (counts.get(value) ?? 0) + 1);
+    }
+
+    const type = LOGO_TYPE_BY_FIELD[field];
+    taxonomy[field] = [...counts].sort(([a], [b]) => a.localeCompare(b)).map(([value, count]) => {
+      if (!type) return { value, count };
+      const file = `${toKebabCase(value)}.png`;
+      return {
+        value,
+        count,
+        entry: entries[type][toKebabCase(value)] ?? null,
+        logo: {
+          file: `${type}/${file}`,
+          hasLogo: existsSync(join(LOGOS_DIR, type, file)),
+          hasLight: existsSync(join(LOGOS_DIR, type, file.replace(/\.png$/, '-light.png'))),
+        },
+      };
+    });
+  }
+  return taxonomy;
+}
+
+// The changed lines between two versions of a file, prefixed with "-" or "+", in file order
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // Longest common subsequence table, filled from the end so the walk below goes forwards
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  return lines;
+}
+
+// The logo files (and light variants) to move when every use of a value is renamed. When the
+// new value already has its own logo that one is kept and the old one deleted, and when another
+// value still in use shares the old file name the logos are left alone.
+function planLogoChanges(field, from, to, remainingValues) {
+  const type = LOGO_TYPE_BY_FIELD[field];
+  const fromName = toKebabCase(from);
+  const toName = toKebabCase(to);
+  if (!type || fromName === toName) return { changes: [], logos: [], warnings: [] };
+  if (remainingValues.some(value => toKebabCase(value) === fromName)) {
+    return { changes: [], logos: [], warnings: [`Logo ${type}/${fromName}.png is still used by another ${field}, so it was left in place`] };
+  }
+
+  const changes = [];
+  const logos = [];
+  for (const suffix of ['', '-light']) {
+    const source = join(LOGOS_DIR, type, `${fromName}${suffix}.png`);
+    if (!existsSync(source)) continue;
+    const target = join(LOGOS_DIR, type, `${toName}${suffix}.png`);
+    if (existsSync(target)) {
+      logos.push({ action: 'delete', file: `${type}/${fromName}${suffix}.png`, keep: `${type}/${toName}${suffix}.png` });
+    } else {
+      changes.push({ path: target, contents: readFileSync(source) });
+      logos.push({ action: 'move', file: `${type}/${fromName}${suffix}.png`, to: `${type}/${toName}${suffix}.png` });
+    }
+    changes.push({ path: source, contents: null });
+  }
+  return { changes, logos, warnings: [] };
+}
+
+// The taxonomy edits that go with renaming every use of a value: its entry is renamed (and given
+// the new display name), or dropped in favour of the entry the value is merged into. Renaming a
+// game also moves the factions that belong to it.
+function planTaxonomyChanges(field, from, to, remainingValues) {
+  const type = LOGO_TYPE_BY_FIELD[field];
+  const fromId = toKebabCase(from);
+  const toId = toKebabCase(to);
+  if (!type || fromId === toId || remainingValues.some(value => toKebabCase(value) === fromId)) return [];
+
+  const changes = [];
+  const doc = readTaxonomyDocument(type);
+  if (doc?.has(fromId)) {
+    if (doc.has(toId)) {
+      doc.delete(fromId);
+    } else {
+      const pair = doc.contents.items.find(item => (isScalar(item.key) ? item.key.value : item.key) === fromId);
+      pair.key = doc.createNode(toId);
+      doc.setIn([toId, 'name'], to);
+    }
+    changes.push({ type, doc });
+  }
+
+  if (type === 'games') {
+    const factions = readTaxonomyDocument('factions');
+    const members = factions ? Object.entries(factions.toJS() ?? {}).filter(([, entry]) => entry?.game === fromId) : [];
+    for (const [id] of members) factions.setIn([id, 'game'], toId);
+    if (members.length) changes.push({ type: 'factions', doc: factions });
+  }
+
+  return changes.map(({ type, doc }) => {
+    const path = join(TAXONOMY_DIR, `${type}.yaml`);
+    const contents = doc.toString(YAML_OPTIONS);
+    return { path, contents, file: `taxonomy/${type}.yaml`, diff: diffLines(readFileSync(path, 'utf-8'), contents) };
+  });
+}
+
+// Writes (or, with null contents, deletes) every file, or none of them: if one fails, the ones
+// already changed are put back before rethrowing
+function applyFileChanges(changes) {
+  const applied = [];
+  try {
+    for (const { path, contents } of changes) {
+      const previous = existsSync(path) ? readFileSync(path) : null;
+      if (contents === null) unlinkSync(path);
+      else writeFileSync(path, contents);
+      applied.push({ path, previous });
+    }
+  } catch (err) {
+    for (const { path, previous } of applied.reverse()) {
+      if (previous === null) unlinkSync(path);
+      else writeFileSync(path, previous);
+    }
+    throw err;
+  }
+}
+
+// Renames a manufacturer, game, faction, scale or tag in every entry that uses it, moving its
+// taxonomy entry and logos along. Renaming to a value that's already in use merges the two. Every entry is checked
+// before anything is written, and with `dryRun` nothing is: the body then describes the changes,
+// including a line diff of each entry.
+export function renameValue(field, from, to, { dryRun = false } = {}) {
+  if (!RENAMEABLE_FIELDS.includes(field)) {
+    return { status: 400, body: { error: `Unknown field "${field}", expected one of ${RENAMEABLE_FIELDS.join(', ')}` } };
+  }
+  if (!from || !to?.trim()) {
+    return { status: 400, body: { error: 'Both the current and the new value are required' } };
+  }
+  to = to.trim();
+  if (to === from) {
+    return { status: 400, body: { error: `The new ${field} is the same as the current one` } };
+  }
+
+  const changed = [];
+  const remainingValues = [];
+  for (const slug of listSlugs()) {
+    const doc = readMiniatureDocument(slug);
+    const values = fieldValues(doc.toJS() ?? {}, field);
+    if (!values.includes(from)) {
+      remainingValues.push(...values);
+      continue;
+    }
+
+    if (field === 'tag') {
+      doc.set('tags', [...new Set(values.map(tag => (tag === from ? to : tag)))]);
+    } else {
+      setScalar(doc, field, to);
+    }
+    remainingValues.push(...fieldValues(doc.toJS(), field).filter(value => value !== to));
+    if (values.includes(to)) remainingValues.push(to);
+
+    const validationError = validateEntry(doc);
+    if (validationError) {
+      return { status: 400, body: { error: `Invalid miniature "${slug}": ${validationError}` } };
+    }
+    const yamlPath = join(MINIATURES_DIR, `${slug}.yaml`);
+    const contents = doc.toString(YAML_OPTIONS);
+    changed.push({ slug, path: yamlPath, contents, diff: diffLines(readFileSync(yamlPath, 'utf-8'), contents) });
+  }
+
+  if (!changed.length) {
+    return { status: 404, body: { error: `No miniature uses ${field} "${from}"` } };
+  }
+
+  const merge = remainingValues.includes(to);
+  const taxonomyChanges = planTaxonomyChanges(field, from, to, remainingValues);
+  const logoPlan = planLogoChanges(field, from, to, remainingValues);
+  if (!dryRun) applyFileChanges([...changed, ...taxonomyChanges, ...logoPlan.changes]);
+
+  const count = `${changed.length} miniature${changed.length > 1 ? 's' : ''}`;
+  const verb = merge ? (dryRun ? 'Would merge' : 'Merged') : (dryRun ? 'Would rename' : 'Renamed');
+  return {
+    status: 200,
+    body: {
+      message: `${verb} ${field} "${from}" ${merge ? 'into' : 'to'} "${to}" in ${count}`,
+      merge,
+      slugs: changed.map(({ slug }) => slug),
+      diff: [
+        ...changed.map(({ slug, diff }) => ({ file: `${slug}.yaml`, lines: diff })),
+        ...taxonomyChanges.map(({ file, diff }) => ({ file, lines: diff })),
+      ],
+      logos: logoPlan.logos,
+      // A logo or taxonomy entry that is about to be moved into place isn't missing
+      warnings: [
+        ...logoPlan.warnings,
+        ...(logoPlan.logos.length ? [] : getLogoWarnings({ [field]: to })),
+        ...(taxonomyChanges.some(({ file }) => file === `taxonomy/${LOGO_TYPE_BY_FIELD[field]}.yaml`) ? [] : getTaxonomyWarnings({ [field]: to })),
+      ],
+    },
+  };
+}
+
+// Kinds of problem the content check looks for, in report order. Errors fail the build; warnings
+// flag data that builds fine but is probably a mistake.
+export const CHECK_KINDS = {
+  'invalid-entry': { level: 'error', label: 'Invalid entries' },
+  'missing-photo': { level: 'error', label: 'Missing photos' },
+  'unknown-project': { level: 'error', label: 'Unknown projects' },
+  'missing-logo': { level: 'error', label: 'Missing logos' },
+  'orphan-photo': { level: 'error', label: 'Orphan photos' },
+  'duplicate-title': { level: 'warning', label: 'Duplicate titles' },
+  'future-date': { level: 'warning', label: 'Dates in the future' },
+  'missing-taxonomy': { level: 'warning', label: 'Missing taxonomy entries' },
+  'unused-logo': { level: 'warning', label: 'Unused logos' },
+  'similar-values': { level: 'warning', label: 'Near-duplicate spellings' },
+};
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Two spellings of probably the same value: equal once case, spaces and punctuation are ignored,
+// or a single typo apart in names long enough for that to be unlikely by chance ("Orks" and
+// "Orcs" are different factions, "Necron" and "Necrons" are not)
+function areSimilarValues(a, b) {
+  const normalize = value => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const [x, y] = [normalize(a), normalize(b)];
+  return x === y || (Math.min(x.length, y.length) >= 6 && editDistance(x, y) <= 1);
+}
+
+function groupBy(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const value = key(item);
+    if (value) groups.set(value, [...(groups.get(value) ?? []), item]);
+  }
+  return groups;
+}
+
+// Checks the whole catalog in one pass and reports every problem found, rather than stopping at
+// the first: entries, projects and taxonomy that don't match the schema, missing and orphan
+// photos, missing and unused logos, plus likely mistakes like duplicate titles or two spellings of
+// one faction.
+// Run by `npm run check-content`, by the site build and by the `validate` CLI command.
+export function validateCatalog({ today = new Date() } = {}) {
+  const problems = [];
+  const report = (kind, slug, message) => problems.push({ kind, slug, message });
+  const referencedPhotos = new Set();
+  const miniatures = [];
+
+  for (const slug of listSlugs()) {
+    let doc;
+    try {
+      doc = readMiniatureDocument(slug);
+    } catch (err) {
+      report('invalid-entry', slug, err.message);
+      continue;
+    }
+
+    // The other checks rely on the schema, so an entry that fails it is only reported as invalid
+    const validationError = validateEntry(doc);
+    if (validationError) {
+      report('invalid-entry', slug, validationError);
+      continue;
+    }
+
+    const miniature = readMiniature(slug);
+    miniatures.push(miniature);
+    for (const { file } of miniature.photos) {
+      referencedPhotos.add(file);
+      if (!existsSync(join(PHOTOS_DIR, file))) report('missing-photo', slug, `${file} does not exist`);
+    }
+    if (miniature.project && !existsSync(join(PROJECTS_DIR, `${miniature.project}.yaml`))) {
+      report('unknown-project', slug, `"${miniature.project}" is not in src/content/projects`);
+    }
+    if (new Date(miniature.date) > today) report('future-date', slug, `Dated ${miniature.date}`);
+  }
+
+  for (const { slug } of listProjects()) {
+    const doc = parseDocument(readFileSync(join(PROJECTS_DIR, `${slug}.yaml`), 'utf-8'));
+    const result = projectEntrySchema.safeParse(doc.toJS());
+    if (doc.errors.length || !result.success) {
+      const message = doc.errors[0]?.message ?? result.error.issues.map(issue => `${issue.path.join('.') || 'entry'}: ${issue.message}`).join('; ');
+      report('invalid-entry', `projects/${slug}`, message);
+      continue;
+    }
+    if (result.data.cover) {
+      const file = basename(result.data.cover);
+      referencedPhotos.add(file);
+      if (!existsSync(join(PHOTOS_DIR, file))) report('missing-photo', `projects/${slug}`, `Cover ${file} does not exist`);
+    }
+  }
+
+  for (const file of readdirSync(PHOTOS_DIR)) {
+    if (!file.startsWith('.') && !referencedPhotos.has(file)) {
+      report('orphan-photo', null, `${file} is not used by any miniature or project`);
+    }
+  }
+
+  for (const [, group] of groupBy(miniatures, m => m.title.trim().toLowerCase())) {
+    if (group.length > 1) {
+      report('duplicate-title', null, `"${group[0].title}" is the title of ${group.map(m => m.slug).join(', ')}`);
+    }
+  }
+
+  const taxonomy = {};
+  for (const type of LOGO_TYPES) {
+    try {
+      taxonomy[type] = readTaxonomyDocument(type)?.toJS() ?? {};
+    } catch (err) {
+      report('invalid-entry', `taxonomy/${type}`, err.message);
+      taxonomy[type] = {};
+      continue;
+    }
+    for (const [id, entry] of Object.entries(taxonomy[type])) {
+      const result = taxonomyEntrySchemas[type].safeParse(entry);
+      if (!result.success) {
+        report('invalid-entry', `taxonomy/${type}/${id}`, result.error.issues.map(issue => `${issue.path.join('.') || 'entry'}: ${issue.message}`).join('; '));
+      }
+    }
+  }
+  for (const [id, entry] of Object.entries(taxonomy.factions)) {
+    if (entry?.game && !Object.hasOwn(taxonomy.games, entry.game)) {
+      report('invalid-entry', `taxonomy/factions/${id}`, `Unknown game "${entry.game}"`);
+    }
+  }
+
+  for (const [field, type] of Object.entries(LOGO_TYPE_BY_FIELD)) {
+    const usage = groupBy(miniatures, m => m[field]);
+    for (const [value, group] of usage) {
+      if (!Object.hasOwn(taxonomy[type], toKebabCase(value))) {
+        report('missing-taxonomy', null, `"${toKebabCase(value)}" in taxonomy/${type}.yaml for ${field} "${value}"`);
+      }
+
+      const file = `${toKebabCase(value)}.png`;
+      if (!existsSync(join(LOGOS_DIR, type, file))) {
+        report('missing-logo', null, `${type}/${file} for "${value}" (${group.length} miniature${group.length > 1 ? 's' : ''})`);
+      }
+    }
+
+    const names = new Set([...usage.keys()].map(toKebabCase));
+    for (const file of readdirSync(join(LOGOS_DIR, type))) {
+      if (file.endsWith('.png') && !names.has(file.replace(/(-light)?\.png$/, ''))) {
+        report('unused-logo', null, `${type}/${file}`);
+      }
+    }
+  }
+
+  for (const field of RENAMEABLE_FIELDS) {
+    const values = [...new Set(miniatures.flatMap(m => fieldValues(m, field)))].sort();
+    values.forEach((a, i) => values.slice(i + 1).filter(b => areSimilarValues(a, b)).forEach(b => {
+      report('similar-values', null, `${field} "${a}" and "${b}"`);
+    }));
+  }
+
+  const kinds = Object.keys(CHECK_KINDS);
+  problems.sort((a, b) => kinds.indexOf(a.kind) - kinds.indexOf(b.kind));
+  const errors = problems.filter(({ kind }) => CHECK_KINDS[kind].level === 'error');
+  const warnings = problems.filter(({ kind }) => CHECK_KINDS[kind].level === 'warning');
+  return { status: errors.length ? 400 : 200, body: { valid: errors.length === 0, errors, warnings } };
+}
+
+export function getLogos() {
+  const miniatures = listMiniatures();
+  const valuesByType = {
+    manufacturers: miniatures.map(m => m.manufacturer),
+    games: miniatures.map(m => m.game),
+    factions: miniatures.map(m => m.faction),
+  };
+
+  const logos = {};
+  for (const type of LOGO_TYPES) {
+    logos[type] = [...new Set(valuesByType[type].filter(Boolean))].sort().map(name => {
+      const file = `${toKebabCase(name)}.png`;
+      const lightFile = `${toKebabCase(name)}-light.png`;
+      return {
+        name,
+        file,
+        hasLogo: existsSync(join(LOGOS_DIR, type, file)),
+        hasLight: existsSync(join(LOGOS_DIR, type, lightFile)),
+      };
+    });
+  }
+  return logos;
+}
+
+export async function saveLogo({ type, name, variant, data }) {
+  if (!LOGO_TYPES.includes(type) || !name || !isDataUrl(data)) {
+    return { status: 400, body: { error: 'Missing or invalid fields' } };
+  }
+  if (variant !== 'default' && variant !== 'light') {
+    return { status: 400, body: { error: `Unknown logo variant "${variant}"` } };
+  }
+
+  const filename = `${toKebabCase(name)}${variant === 'light' ? '-light' : ''}.png`;
+  const logoPath = getLogoPath(type, filename);
+  if (!logoPath) {
+    return { status: 400, body: { error: `Invalid logo name "${name}"` } };
+  }
+  const base64Data = data.replace(/^data:image\/[\w+]+;base64,/, '');
+
+  // Trim the uniform border most downloaded logos come with, then center on a transparent square
+  const png = await sharp(Buffer.from(base64Data, 'base64'))
+    .trim()
+    .resize(LOGO_SIZE, LOGO_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+
+  writeFileSync(logoPath, png);
+
+  return {
+    status: 200,
+    body: { message: `Saved logo ${type}/${filename}`, files: [logoPath] },
+  };
+}
+
+export function isImportPhoto(name) {
+  return IMPORT_PHOTO_EXTENSIONS.has(extname(name).toLowerCase());
+}
+
+// "ork-boy.jpg", "ork-boy-2.jpg", "ork_boy_3.jpg" and "ork-boy (4).jpg" are all photos of "Ork Boy"
+function parseImportFilename(name) {
+  const stem = basename(name, extname(name));
+  const match = stem.match(/^(.+?)(?:[-_ ](\d+)| ?\((\d+)\))$/);
+  const base = match ? match[1] : stem;
+  const title = base
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+  return { key: slugify(base), title, index: match ? Number(match[2] ?? match[3]) : 1 };
+}
+
+// Minimal RFC 4180 reader: quoted fields may contain commas, newlines and "" escapes
+function parseCsv(text) {
+  const rows = [[]];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      rows.at(-1).push(field);
+      field = '';
+    } else if (char === '\n') {
+      rows.at(-1).push(field.replace(/\r$/, ''));
+      rows.push([]);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  rows.at(-1).push(field);
+
+  const [header, ...records] = rows.filter(row => row.some(cell => cell.trim()));
+  const columns = (header ?? []).map(column => column.trim().toLowerCase());
+  return records.map(record => Object.fromEntries(columns.map((column, i) => [column, record[i]?.trim() ?? ''])));
+}
+
+// A manifest lists one miniature per row/object: `title` and `photos` (a list, or a string
+// separated with ";"), plus any of the other form fields to override the shared values
+function parseManifest({ name, text }) {
+  let entries;
+  if (extname(name).toLowerCase() === '.csv') {
+    entries = parseCsv(text);
+  } else {
+    const parsed = JSON.parse(text);
+    entries = Array.isArray(parsed) ? parsed : parsed.miniatures;
+    if (!Array.isArray(entries)) throw new Error(`${name} must be an array of miniatures`);
+  }
+
+  const toList = value => (Array.isArray(value) ? value : String(value ?? '').split(';'))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+  return entries.map(entry => {
+    const fields = {};
+    for (const key of IMPORT_FIELDS) {
+      if (entry[key] === undefined || entry[key] === '') continue;
+      if (key === 'tags') fields.tags = toList(entry.tags);
+      else if (key === 'order') fields.order = Number(entry.order);
+      else fields[key] = String(entry[key]).trim();
+    }
+    return { fields, files: toList(entry.photos) };
+  });
+}
+
+// Groups the photos into miniatures, from the manifest if there is one and by filename otherwise
+function groupImportFiles(fileNames, manifest) {
+  const photoNames = fileNames.filter(isImportPhoto);
+
+  if (manifest) {
+    const groups = parseManifest(manifest).map(group => {
+      const missing = group.files.filter(file => !photoNames.includes(file));
+      return missing.length ? { ...group, error: `Missing photo ${missing.join(', ')}` } : group;
+    });
+    const assigned = new Set(groups.flatMap(group => group.files));
+    return { groups, unassigned: photoNames.filter(name => !assigned.has(name)) };
+  }
+
+  const byKey = new Map();
+  for (const name of [...photoNames].sort()) {
+    const { key, title, index } = parseImportFilename(name);
+    if (!byKey.has(key)) byKey.set(key, { fields: { title }, photos: [] });
+    byKey.get(key).photos.push({ name, index });
+  }
+  const groups = [...byKey.values()].map(({ fields, photos }) => ({
+    fields,
+    files: photos.sort((a, b) => a.index - b.index).map(photo => photo.name),
+  }));
+  return { groups, unassigned: [] };
+}
+
+// Checks a batch of new miniatures and, with `confirm`, writes them. `files` maps filenames to
+// their contents; `shared` holds the values every miniature gets unless the manifest overrides
+// them. Each miniature goes through the same checks as a single save, and nothing is written
+// unless all of them pass.
+export async function importMiniatures({ files, manifest, shared = {}, photoOptions, confirm = false }) {
+  const { error: optionsError, options } = parsePhotoOptions(photoOptions);
+  if (optionsError) return { status: 400, body: { error: optionsError } };
+
+  let grouped;
+  try {
+    grouped = groupImportFiles([...files.keys()], manifest);
+  } catch (err) {
+    return { status: 400, body: { error: `Could not read ${manifest.name}: ${err.message}` } };
+  }
+  const { groups, unassigned } = grouped;
+  const sharedFields = Object.fromEntries(Object.entries(shared).filter(([, value]) => value));
+  // Slugs and photo filenames taken by earlier rows, which prepareSave can't see as they aren't on
+  // disk yet
+  const claimedSlugs = new Map();
+  const claimedPhotos = new Map();
+
+  const rows = [];
+  for (const group of groups) {
+    const data = { ...sharedFields, ...group.fields };
+    const slug = slugify(data.title ?? '');
+    let error = group.error;
+    let plan = null;
+
+    if (!error && claimedSlugs.has(slug)) {
+      error = `Same slug as "${claimedSlugs.get(slug)}" in this import`;
+    }
+    if (!error) {
+      data.photos = [];
+      for (const name of group.files) {
+        try {
+          data.photos.push({ src: await processPhoto(files.get(name), options) });
+        } catch (err) {
+          error = `Could not read ${name}: ${err.message}`;
+          break;
+        }
+      }
+    }
+    if (!error) {
+      const prepared = prepareSave(data, null);
+      error = prepared.error?.body.error;
+      plan = prepared.plan;
+    }
+    const photoClash = plan?.photoFilenames.find(({ filename }) => claimedPhotos.has(filename));
+    if (photoClash) {
+      error = `Photo file "${photoClash.filename}" is also used by "${claimedPhotos.get(photoClash.filename)}" in this import`;
+      plan = null;
+    }
+    if (slug) claimedSlugs.set(slug, data.title);
+    for (const { filename } of plan?.photoFilenames ?? []) claimedPhotos.set(filename, data.title);
+
+    rows.push({
+      title: data.title ?? '',
+      slug,
+      manufacturer: data.manufacturer ?? '',
+      game: data.game ?? '',
+      faction: data.faction ?? '',
+      date: data.date ?? '',
+      scale: data.scale ?? '',
+      photos: group.files,
+      error: error ?? null,
+      warnings: error ? [] : getEntryWarnings(data),
+      plan,
+    });
+  }
+
+  const ready = rows.length > 0 && rows.every(row => !row.error);
+  const body = { rows: rows.map(({ plan, ...row }) => row), unassigned, written: false };
+
+  if (!rows.length) {
+    return { status: 400, body: { ...body, error: 'No photos to import' } };
+  }
+  if (!confirm) {
+    return { status: 200, body };
+  }
+  if (!ready) {
+    return { status: 400, body: { ...body, error: 'Nothing was written: fix the rows with errors first' } };
+  }
+
+  for (const row of rows) writeMiniature(row.plan);
+  const count = `${rows.length} miniature${rows.length > 1 ? 's' : ''}`;
+  const photoSizes = describePhotoSizes(rows.flatMap(row => row.plan.photoFilenames));
+  const message = `Imported ${count} (${photoSizes.count} photo${photoSizes.count > 1 ? 's' : ''}; ${photoSizes.summary})`;
+  return { status: 200, body: { ...body, written: true, message } };
+}
@@ -0,0 +1,267 @@
+// Command-line interface to the catalog, run as `node scripts/admin.mjs <command>`. Every command
+// prints its result as JSON (import shows a preview table unless --json is given) and exits with
+// a non-zero status when it fails, so catalog maintenance can be scripted.
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline/promises';
+import { parseArgs } from 'node:util';
+import {
+  RENAMEABLE_FIELDS,
+  PHOTO_MAX_EDGE,
+  PHOTO_FORMATS,
+  DEFAULT_PHOTO_FORMAT,
+  readMiniature,
+  listMiniatures,
+  saveMiniature,
+  updateMiniature,
+  deleteMiniature,
+  renameValue,
+  getTaxonomy,
+  validateCatalog,
+  importMiniatures,
+  isImportPhoto,
+} from './catalog.mjs';
+
+const USAGE = `Usage: node scripts/admin.mjs <command> [options]
+
+Without a command, starts the web admin on port 3001.
+
+Commands:
+  list [--manufacturer <name>] [--game <name>] [--faction <name>] [--scale <scale>] [--tag <tag>] [--project <slug>]
+      List miniatures, optionally only those matching every given value
+  add --title <title> --manufacturer <name> --date <YYYY-MM-DD> --scale <scale> --photo <file>... [fields]
+      Add a miniature
+  edit <slug> [fields]
+      Change the given fields of a miniature; --photo and --tag replace the whole list, and an empty
+      value (--game "") removes an optional field
+  remove <slug>
+      Delete a miniature and its photos
+  taxonomy
+      List every manufacturer, game, faction, scale and tag with how many miniatures use it
+  rename-value <${RENAMEABLE_FIELDS.join('|')}> <from> <to> [--dry-run]
+      Rename a value in every miniature that uses it, merging it into <to> if that already exists,
+      and move its logos. --dry-run prints the changes without writing them
+  validate
+      Run the content check the site build runs (see npm run check-content), with its errors and
+      warnings as JSON
+  import <dir> [--manufacturer <name>] [--game <name>] [--faction <name>] [--date <YYYY-MM-DD>]
+         [--scale <scale>] [photo options] [--yes] [--json]
+      Create miniatures from a folder of photos, grouped by filename or by a manifest.csv /
+      manifest.json in the folder. Shows a preview and asks before writing, unless --yes is given
+
+Fields for add and edit:
+  --title, --manufacturer, --date, --scale, --game, --faction, --order, --project, --description,
+  --tag <tag> (repeatable), --photo <file> (repeatable, in order)
+
+Photo options for add, edit and import (new photos are turned upright and stripped of metadata):
+  --max-edge <px>    Downscale to fit this longest edge (default ${PHOTO_MAX_EDGE})
+  --format <format>  ${Object.keys(PHOTO_FORMATS).join(', ')} (default ${DEFAULT_PHOTO_FORMAT})`;
+
+const PHOTO_OPTIONS = {
+  'max-edge': { type: 'string' },
+  format: { type: 'string' },
+};
+
+const FIELD_OPTIONS = {
+  title: { type: 'string' },
+  manufacturer: { type: 'string' },
+  date: { type: 'string' },
+  scale: { type: 'string' },
+  game: { type: 'string' },
+  faction: { type: 'string' },
+  order: { type: 'string' },
+  project: { type: 'string' },
+  description: { type: 'string' },
+  tag: { type: 'string', multiple: true },
+  photo: { type: 'string', multiple: true },
+  ...PHOTO_OPTIONS,
+};
+
+function print(result) {
+  console.log(JSON.stringify(result.body, null, 2));
+  return result.status < 400 ? 0 : 1;
+}
+
+function usageError(message) {
+  return print({ status: 400, body: { error: `${message}. Run "node scripts/admin.mjs help" for usage.` } });
+}
+
+// --order takes an integer, or an empty string to clear it
+function isValidOrder(order) {
+  return order === undefined || order === '' || (order.trim() !== '' && Number.isInteger(Number(order)));
+}
+
+// Turns add/edit options into save fields, leaving out the ones that weren't given
+function fieldsFromOptions({ tag, photo, order, 'max-edge': maxEdge, format, ...values }) {
+  const fields = { ...values, photoOptions: { maxEdge, format } };
+  if (order !== undefined) fields.order = order === '' ? null : Number(order);
+  if (tag) fields.tags = tag.filter(Boolean);
+  if (photo) fields.photos = photo.map(file => readFileSync(file));
+  return fields;
+}
+
+function listCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      manufacturer: { type: 'string' },
+      game: { type: 'string' },
+      faction: { type: 'string' },
+      scale: { type: 'string' },
+      tag: { type: 'string' },
+      project: { type: 'string' },
+    },
+  });
+  const { tag, ...fields } = values;
+  const miniatures = listMiniatures().filter(miniature =>
+    Object.entries(fields).every(([field, value]) => miniature[field] === value)
+    && (tag === undefined || miniature.tags.includes(tag))
+  );
+  return print({ status: 200, body: miniatures });
+}
+
+async function addCommand(args) {
+  const { values } = parseArgs({ args, options: FIELD_OPTIONS });
+  if (!isValidOrder(values.order)) return usageError('--order must be an integer');
+  return print(await saveMiniature(fieldsFromOptions(values), null));
+}
+
+async function editCommand(args) {
+  const { values, positionals: [slug] } = parseArgs({ args, options: FIELD_OPTIONS, allowPositionals: true });
+  if (!slug) return usageError('edit needs the slug of a miniature');
+  if (!isValidOrder(values.order)) return usageError('--order must be an integer');
+
+  const existing = readMiniature(slug);
+  if (!existing) return print({ status: 404, body: { error: `No miniature with slug "${slug}"` } });
+
+  // Unchanged photos are passed by filename, which keeps them (and their stage and caption)
+  const photos = existing.photos.map(({ file, stage, caption }) => ({ src: file, stage, caption }));
+  return print(await updateMiniature(slug, { ...existing, photos, ...fieldsFromOptions(values) }));
+}
+
+function removeCommand(args) {
+  const { positionals: [slug] } = parseArgs({ args, allowPositionals: true });
+  if (!slug) return usageError('remove needs the slug of a miniature');
+  return print(deleteMiniature(slug));
+}
+
+function taxonomyCommand(args) {
+  parseArgs({ args });
+  return print({ status: 200, body: getTaxonomy() });
+}
+
+function renameValueCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: { 'dry-run': { type: 'boolean' } },
+  });
+  if (positionals.length !== 3) return usageError('rename-value needs a field, the current value and the new one');
+  const [field, from, to] = positionals;
+  return print(renameValue(field, from, to, { dryRun: values['dry-run'] }));
+}
+
+function validateCommand(args) {
+  parseArgs({ args });
+  return print(validateCatalog());
+}
+
+function printImportPreview({ rows, unassigned }) {
+  const columns = ['title', 'slug', 'photos', 'manufacturer', 'game', 'faction', 'date', 'scale', 'status'];
+  const cells = rows.map(row => ({
+    ...row,
+    photos: String(row.photos.length),
+    status: row.error ? `ERROR: ${row.error}` : ['ok', ...row.warnings].join('; '),
+  }));
+  const widths = columns.map(column => Math.max(column.length, ...cells.map(row => row[column].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(line(columns.map(column => column.toUpperCase())));
+  cells.forEach(row => console.log(line(columns.map(column => row[column]))));
+  if (unassigned.length) {
+    console.log(`\nNot in the manifest, will be skipped: ${unassigned.join(', ')}`);
+  }
+}
+
+async function confirmImport(count) {
+  if (!process.stdin.isTTY) {
+    console.log('\nNothing was written. Re-run with --yes to import.');
+    return false;
+  }
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question(`\nWrite ${count} miniature${count > 1 ? 's' : ''}? [y/N] `);
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+async function importCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      manufacturer: { type: 'string' },
+      game: { type: 'string' },
+      faction: { type: 'string' },
+      date: { type: 'string' },
+      scale: { type: 'string' },
+      yes: { type: 'boolean', short: 'y' },
+      json: { type: 'boolean' },
+      ...PHOTO_OPTIONS,
+    },
+  });
+
+  const [dir] = positionals;
+  if (!dir || !existsSync(dir)) return usageError('import needs a directory of photos');
+
+  const names = readdirSync(dir);
+  const files = new Map(names.filter(isImportPhoto).map(name => [name, readFileSync(join(dir, name))]));
+  const manifestName = ['manifest.json', 'manifest.csv'].find(name => names.includes(name));
+  const manifest = manifestName && { name: manifestName, text: readFileSync(join(dir, manifestName), 'utf-8') };
+  const { yes, json, 'max-edge': maxEdge, format, ...shared } = values;
+  const photoOptions = { maxEdge, format };
+
+  // Scripts get the preview (or, with --yes, the result) as JSON and are never prompted
+  if (json) return print(await importMiniatures({ files, manifest, shared, photoOptions, confirm: yes }));
+
+  const preview = await importMiniatures({ files, manifest, shared, photoOptions });
+  if (preview.body.rows.length) printImportPreview(preview.body);
+  if (preview.status !== 200) {
+    console.error(preview.body.error);
+    return 1;
+  }
+  if (preview.body.rows.some(row => row.error)) {
+    console.error('\nNothing was written: fix the rows with errors first.');
+    return 1;
+  }
+  if (!yes && !(await confirmImport(preview.body.rows.length))) return 0;
+
+  const result = await importMiniatures({ files, manifest, shared, photoOptions, confirm: true });
+  console.log(result.body.message ?? result.body.error);
+  return result.status === 200 ? 0 : 1;
+}
+
+const COMMANDS = {
+  list: listCommand,
+  add: addCommand,
+  edit: editCommand,
+  remove: removeCommand,
+  taxonomy: taxonomyCommand,
+  'rename-value': renameValueCommand,
+  validate: validateCommand,
+  import: importCommand,
+};
+
+// Runs a CLI command and resolves to its exit code
+export async function runCli([command, ...args]) {
+  if (command === 'help' || command === '--help') {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!COMMANDS[command]) return usageError(`Unknown command "${command}"`);
+
+  try {
+    return await COMMANDS[command](args);
+  } catch (err) {
+    return print({ status: 500, body: { error: err.message } });
+  }
+}
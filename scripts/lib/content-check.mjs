@@ -0,0 +1,45 @@
+// Turns the content check of catalog.mjs into a readable report, for `npm run check-content` and
+// for the build, which fails when the check finds errors.
+import { CHECK_KINDS, validateCatalog } from './catalog.mjs';
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+export function formatReport({ errors, warnings }) {
+  if (!errors.length && !warnings.length) return 'Content check passed';
+
+  const lines = [`Content check: ${plural(errors.length, 'error')}, ${plural(warnings.length, 'warning')}`];
+  for (const [heading, problems] of [['Errors', errors], ['Warnings', warnings]]) {
+    if (!problems.length) continue;
+    lines.push('', heading);
+    for (const [kind, { label }] of Object.entries(CHECK_KINDS)) {
+      const ofKind = problems.filter(problem => problem.kind === kind);
+      if (!ofKind.length) continue;
+      lines.push(`  ${label} (${ofKind.length})`);
+      for (const { slug, message } of ofKind) lines.push(`    ${slug ? `${slug}: ` : ''}${message}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Astro integration that runs the check before every build
+export function contentCheck() {
+  return {
+    name: 'content-check',
+    hooks: {
+      'astro:config:setup': ({ command, logger }) => {
+        if (command !== 'build') return;
+
+        const { body } = validateCatalog();
+        const report = formatReport(body);
+        if (!body.valid) {
+          logger.error(report);
+          throw new Error('The content check found errors, see the report above');
+        }
+        if (body.warnings.length) logger.warn(report);
+        else logger.info(report);
+      },
+    },
+  };
+}
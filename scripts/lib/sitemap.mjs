@@ -0,0 +1,39 @@
+// Astro integration that writes sitemap.xml once the build is done, listing every generated page.
+// Endpoints like the feeds (anything with a file extension) are left out; robots.txt points here.
+import { writeFile } from 'node:fs/promises';
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function sitemap() {
+  let site;
+  return {
+    name: 'sitemap',
+    hooks: {
+      'astro:config:done': ({ config }) => {
+        site = config.site;
+      },
+      'astro:build:done': async ({ dir, pages, logger }) => {
+        if (!site) {
+          logger.warn('No `site` in astro.config.mjs, skipping sitemap.xml');
+          return;
+        }
+
+        const urls = pages
+          .map(({ pathname }) => pathname)
+          .filter(pathname => !/\.[a-z0-9]+$/i.test(pathname))
+          .map(pathname => new URL(pathname, site).href)
+          .sort();
+
+        const body = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url><loc>${escapeXml(url)}</loc></url>`).join('\n')}
+</urlset>
+`;
+        await writeFile(new URL('sitemap.xml', dir), body);
+        logger.info(`sitemap.xml: ${urls.length} pages`);
+      },
+    },
+  };
+}
@@ -1,19 +1,32 @@
-import { defineCollection, z } from 'astro:content';
-import { glob } from 'astro/loaders';
+import { defineCollection, reference } from 'astro:content';
+import { file, glob } from 'astro/loaders';
+// Astro only hashes this file to decide whether its cached entries are stale, so after changing
+// the schemas run `rm -rf node_modules/.astro` before the next dev or build
+import { factionSchema, miniatureSchema, projectSchema, taxonomySchema } from './schemas.mjs';
 
 const miniatures = defineCollection({
   loader: glob({ pattern: '**/*.yaml', base: './src/content/miniatures' }),
-  schema: ({ image }) =>
-    z.object({
-      title: z.string(),
-      photos: z.array(image()).min(1),
-      manufacturer: z.string(),
-      date: z.coerce.date(),
-      scale: z.string(),
-      game: z.string().optional(),
-      faction: z.string().optional(),
-      order: z.number().int().optional(),
-    }),
+  schema: ({ image }) => miniatureSchema({ photo: image(), project: reference('projects') }),
 });
 
-export const collections = { miniatures };
+const projects = defineCollection({
+  loader: glob({ pattern: '**/*.yaml', base: './src/content/projects' }),
+  schema: ({ image }) => projectSchema({ photo: image() }),
+});
+
+const manufacturers = defineCollection({
+  loader: file('src/content/taxonomy/manufacturers.yaml'),
+  schema: taxonomySchema(),
+});
+
+const games = defineCollection({
+  loader: file('src/content/taxonomy/games.yaml'),
+  schema: taxonomySchema(),
+});
+
+const factions = defineCollection({
+  loader: file('src/content/taxonomy/factions.yaml'),
+  schema: factionSchema({ game: reference('games') }),
+});
+
+export const collections = { miniatures, projects, manufacturers, games, factions };
@@ -0,0 +1,79 @@
+import { getImage } from 'astro:assets';
+import { getCollection } from 'astro:content';
+import { compareNewestFirst, describeMiniature, getTaxonomyValues } from './miniatures';
+import { getDisplayName, getTaxonomy } from './taxonomy';
+
+// Items shared by the RSS, Atom and JSON feeds (src/pages/rss.xml.ts, atom.xml.ts, feed.json.ts),
+// newest first. URLs are absolute, since feed readers show items away from the site.
+
+export const FEED_TITLE = 'nivvok.art — Painted Miniatures';
+export const FEED_DESCRIPTION = 'Newly painted miniatures from the nivvok.art gallery.';
+
+export interface FeedItem {
+  url: string;
+  title: string;
+  date: Date;
+  summary: string;
+  contentHtml: string;
+  // Manufacturer, game and faction display names
+  categories: string[];
+  image: {
+    url: string;
+    type: string;
+    width: number;
+    height: number;
+  };
+}
+
+export interface Feed {
+  homeUrl: string;
+  // Date of the newest item, so the feed only changes when the gallery does
+  updated: Date;
+  items: FeedItem[];
+}
+
+export function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export async function getFeed(site: URL): Promise<Feed> {
+  const miniatures = (await getCollection('miniatures')).sort(compareNewestFirst);
+  const taxonomy = await getTaxonomy();
+
+  const items = await Promise.all(
+    miniatures.map(async (miniature): Promise<FeedItem> => {
+      // Same thumbnail as the gallery grid, so the build reuses the file
+      const thumbnail = await getImage({ src: miniature.data.photos[0].src, width: 400, format: 'webp' });
+      const url = new URL(`/miniatures/${miniature.id}/`, site).href;
+      const imageUrl = new URL(thumbnail.src, site).href;
+      const summary = describeMiniature(taxonomy, miniature.data);
+      const title = escapeXml(miniature.data.title);
+
+      return {
+        url,
+        title: miniature.data.title,
+        date: miniature.data.date,
+        summary,
+        contentHtml: `<p><a href="${url}"><img src="${imageUrl}" width="${thumbnail.attributes.width}" height="${thumbnail.attributes.height}" alt="${title}" /></a></p><p>${escapeXml(summary)}</p>`,
+        categories: getTaxonomyValues(miniature.data).map(([type, name]) => getDisplayName(taxonomy, type, name)),
+        image: {
+          url: imageUrl,
+          type: 'image/webp',
+          width: Number(thumbnail.attributes.width),
+          height: Number(thumbnail.attributes.height),
+        },
+      };
+    })
+  );
+
+  return {
+    homeUrl: new URL('/', site).href,
+    updated: items[0]?.date ?? new Date(0),
+    items,
+  };
+}
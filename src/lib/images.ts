@@ -0,0 +1,90 @@
+import { getImage } from 'astro:assets';
+import sharp from 'sharp';
+
+// Responsive versions of the gallery's photos: grid thumbnails and lightbox slides in several
+// widths, AVIF with a WebP fallback, plus a tiny placeholder shown while a thumbnail loads.
+// Widths past a photo's own are dropped by getImage.
+
+const THUMBNAIL_WIDTHS = [200, 400, 600, 800];
+// Three columns on phones, otherwise columns of at most ~400px (see .miniature-grid)
+export const THUMBNAIL_SIZES = '(max-width: 768px) 33vw, 400px';
+
+export interface Thumbnail {
+  // 400px WebP, for browsers without srcset support
+  src: string;
+  width: number;
+  height: number;
+  avifSrcset: string;
+  webpSrcset: string;
+}
+
+export async function getThumbnail(src: ImageMetadata): Promise<Thumbnail> {
+  const [webp, avif] = await Promise.all([
+    getImage({ src, width: 400, widths: THUMBNAIL_WIDTHS, format: 'webp' }),
+    getImage({ src, width: 400, widths: THUMBNAIL_WIDTHS, format: 'avif' }),
+  ]);
+  return {
+    src: webp.src,
+    width: Number(webp.attributes.width),
+    height: Number(webp.attributes.height),
+    avifSrcset: avif.srcSet.attribute,
+    webpSrcset: webp.srcSet.attribute,
+  };
+}
+
+const SLIDE_WIDTHS = [800, 1200, 1600, 2400];
+export const SLIDE_SIZES = '100vw';
+
+export interface SlideImage {
+  // 1600px WebP, which the compare plugin also uses
+  src: string;
+  avifSrcset: string;
+  webpSrcset: string;
+}
+
+export async function getSlideImage(src: ImageMetadata): Promise<SlideImage> {
+  const [webp, avif] = await Promise.all([
+    getImage({ src, width: 1600, widths: SLIDE_WIDTHS, format: 'webp' }),
+    getImage({ src, width: 1600, widths: SLIDE_WIDTHS, format: 'avif' }),
+  ]);
+  return { src: webp.src, avifSrcset: avif.srcSet.attribute, webpSrcset: webp.srcSet.attribute };
+}
+
+export interface Placeholder {
+  // Dominant colour, shown until the tiny image decodes
+  color: string;
+  // Data URL of a 16px version, which the browser's upscaling blurs
+  image: string;
+}
+
+const placeholders = new Map<string, Promise<Placeholder | undefined>>();
+
+// Astro sets `fsPath` on imported images while rendering, so sharp can read the original file.
+// Should that ever be missing, items just go without a placeholder.
+export function getPlaceholder(src: ImageMetadata): Promise<Placeholder | undefined> {
+  const fsPath = (src as ImageMetadata & { fsPath?: string }).fsPath;
+  if (!fsPath) return Promise.resolve(undefined);
+
+  if (!placeholders.has(fsPath)) {
+    placeholders.set(
+      fsPath,
+      (async () => {
+        const image = sharp(fsPath).rotate();
+        const [{ dominant }, tiny] = await Promise.all([
+          image.clone().stats(),
+          image.clone().resize(16, 16, { fit: 'inside' }).webp({ quality: 50 }).toBuffer(),
+        ]);
+        return {
+          color: `rgb(${dominant.r}, ${dominant.g}, ${dominant.b})`,
+          image: `data:image/webp;base64,${tiny.toString('base64')}`,
+        };
+      })()
+    );
+  }
+  return placeholders.get(fsPath)!;
+}
+
+export function placeholderStyle(placeholder: Placeholder | undefined): string | undefined {
+  if (!placeholder) return undefined;
+  return `--placeholder-color: ${placeholder.color}; --placeholder-image: url("${placeholder.image}")`;
+}
@@ -0,0 +1,148 @@
+import type { LightGallery } from 'lightgallery/lightgallery';
+import type { LgQuery } from 'lightgallery/lgQuery';
+
+// Fields src/lib/slides.ts adds to each dynamic slide on top of src/thumb/subHtml
+interface StagedSlide {
+  src?: string;
+  miniatureId?: string;
+  stage?: string;
+}
+
+const COMPARE_ICON = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" width="24" height="24"><rect x="3" y="4" width="18" height="16" rx="2"/><line x1="12" y1="2" x2="12" y2="22"/></svg>`;
+
+/**
+ * lightGallery plugin that compares two work-in-progress stages of the current miniature, either
+ * with a draggable slider over the two photos or side by side. The toolbar button only shows on
+ * miniatures with at least two staged photos.
+ */
+export default class Compare {
+  core: LightGallery;
+  $LG: LgQuery;
+  private button: HTMLButtonElement | null = null;
+  private panel: HTMLElement | null = null;
+
+  constructor(instance: LightGallery, $LG: LgQuery) {
+    this.core = instance;
+    this.$LG = $LG;
+    return this;
+  }
+
+  init() {
+    const toolbar = this.core.$toolbar.get();
+    if (!toolbar) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'lg-icon lg-compare';
+    button.setAttribute('aria-label', 'Compare stages');
+    button.innerHTML = COMPARE_ICON;
+    button.addEventListener('click', () => this.open());
+    toolbar.append(button);
+    this.button = button;
+
+    this.core.LGel.on('lgBeforeSlide.compare', (event: CustomEvent) => {
+      this.close();
+      this.updateButton(event.detail.index);
+    });
+    this.updateButton(this.core.index);
+  }
+
+  // The current miniature's staged slides, in the order they appear in the gallery
+  private getStages(index: number): Required<StagedSlide>[] {
+    const items = this.core.galleryItems as StagedSlide[];
+    const miniatureId = items[index]?.miniatureId;
+    if (!miniatureId) return [];
+    return items.filter(
+      (item): item is Required<StagedSlide> => item.miniatureId === miniatureId && Boolean(item.stage && item.src)
+    );
+  }
+
+  private updateButton(index: number) {
+    this.button?.classList.toggle('lg-compare-hidden', this.getStages(index).length < 2);
+  }
+
+  private open() {
+    const stages = this.getStages(this.core.index);
+    if (stages.length < 2 || this.panel) return;
+
+    // Start from the first stage against the one being viewed, or the last one if that's the first
+    const currentSrc = (this.core.galleryItems[this.core.index] as StagedSlide).src;
+    const currentIndex = stages.findIndex((s) => s.src === currentSrc);
+    const beforeIndex = 0;
+    const afterIndex = currentIndex > 0 ? currentIndex : stages.length - 1;
+
+    const panel = document.createElement('div');
+    panel.className = 'lg-compare-panel';
+    panel.innerHTML = `
+      <div class="lg-compare-controls">
+        <select class="lg-compare-select" data-side="before" aria-label="Before"></select>
+        <span>vs</span>
+        <select class="lg-compare-select" data-side="after" aria-label="After"></select>
+        <button type="button" class="lg-compare-mode">Side by side</button>
+        <button type="button" class="lg-compare-close" aria-label="Close comparison">&times;</button>
+      </div>
+      <div class="lg-compare-view">
+        <img class="lg-compare-before" alt="" />
+        <img class="lg-compare-after" alt="" />
+        <span class="lg-compare-handle"></span>
+        <input class="lg-compare-range" type="range" min="0" max="100" value="50" aria-label="Reveal" />
+      </div>
+    `;
+
+    const view = panel.querySelector<HTMLElement>('.lg-compare-view')!;
+    const beforeImg = panel.querySelector<HTMLImageElement>('.lg-compare-before')!;
+    const afterImg = panel.querySelector<HTMLImageElement>('.lg-compare-after')!;
+    const range = panel.querySelector<HTMLInputElement>('.lg-compare-range')!;
+    const modeBtn = panel.querySelector<HTMLButtonElement>('.lg-compare-mode')!;
+
+    panel.querySelectorAll<HTMLSelectElement>('.lg-compare-select').forEach((select) => {
+      const img = select.dataset.side === 'before' ? beforeImg : afterImg;
+      stages.forEach((s, i) => select.add(new Option(s.stage, String(i))));
+      select.value = String(select.dataset.side === 'before' ? beforeIndex : afterIndex);
+      img.src = stages[Number(select.value)].src;
+      img.alt = stages[Number(select.value)].stage;
+      select.addEventListener('change', () => {
+        img.src = stages[Number(select.value)].src;
+        img.alt = stages[Number(select.value)].stage;
+      });
+    });
+
+    const setPosition = () => view.style.setProperty('--compare-position', `${range.value}%`);
+    range.addEventListener('input', setPosition);
+    setPosition();
+
+    modeBtn.addEventListener('click', () => {
+      const split = view.classList.toggle('lg-compare-split');
+      modeBtn.textContent = split ? 'Slider' : 'Side by side';
+    });
+
+    panel.querySelector('.lg-compare-close')!.addEventListener('click', () => this.close());
+
+    // Keep arrow keys on the slider, and Escape closing just the comparison, from reaching the
+    // gallery's own keyboard navigation
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+      e.stopPropagation();
+    });
+
+    this.core.outer.get().append(panel);
+    this.panel = panel;
+    range.focus();
+  }
+
+  private close() {
+    this.panel?.remove();
+    this.panel = null;
+  }
+
+  closeGallery() {
+    this.close();
+  }
+
+  destroy() {
+    this.close();
+    this.button?.remove();
+    this.button = null;
+    this.core.LGel.off('.compare');
+  }
+}
@@ -0,0 +1,27 @@
+// Manufacturer, game and faction logos, looked up by display name.
+// "Games Workshop" maps to src/assets/logos/manufacturers/games-workshop.png, with an optional
+// games-workshop-light.png variant for the light theme.
+const logoFiles = import.meta.glob<{ default: ImageMetadata }>('/src/assets/logos/**/*.png', { eager: true });
+
+export type LogoType = 'manufacturers' | 'games' | 'factions';
+
+export function toKebabCase(name: string): string {
+  return name.toLowerCase().replace(/\s+/g, '-');
+}
+
+export function getLogoPath(type: LogoType, name: string): string {
+  return `/src/assets/logos/${type}/${toKebabCase(name)}.png`;
+}
+
+export function getLogoSrc(type: LogoType, name: string): string {
+  const match = logoFiles[getLogoPath(type, name)];
+  if (!match) return '';
+  return match.default.src;
+}
+
+export function getLogoLightSrc(type: LogoType, name: string): string | null {
+  const key = `/src/assets/logos/${type}/${toKebabCase(name)}-light.png`;
+  const match = logoFiles[key];
+  if (!match) return null;
+  return match.default.src;
+}
@@ -0,0 +1,9 @@
+import { createMarkdownProcessor } from '@astrojs/markdown-remark';
+
+// Markdown fields in content entries (painting notes, project descriptions) are rendered with
+// Astro's own markdown pipeline, so they get the same GFM and smartypants handling as .md pages
+const processor = await createMarkdownProcessor({ syntaxHighlight: false });
+
+export async function renderMarkdown(source: string): Promise<string> {
+  return (await processor.render(source)).code;
+}
@@ -0,0 +1,32 @@
+import type { CollectionEntry } from 'astro:content';
+import type { LogoType } from './logos';
+import { getDisplayName, type Taxonomy } from './taxonomy';
+
+type Miniature = CollectionEntry<'miniatures'>['data'];
+
+// The gallery's order: newest first, with `order` breaking ties between miniatures of the same date
+export function compareNewestFirst(a: CollectionEntry<'miniatures'>, b: CollectionEntry<'miniatures'>): number {
+  const dateDiff = b.data.date.getTime() - a.data.date.getTime();
+  if (dateDiff !== 0) return dateDiff;
+  return (a.data.order ?? Infinity) - (b.data.order ?? Infinity);
+}
+
+// The manufacturer, game and faction a miniature names, each with the logo/taxonomy type it belongs to
+export function getTaxonomyValues(data: Miniature): [LogoType, string][] {
+  return ([
+    ['manufacturers', data.manufacturer],
+    ['games', data.game],
+    ['factions', data.faction],
+  ] as [LogoType, string | undefined][]).filter((entry): entry is [LogoType, string] => Boolean(entry[1]));
+}
+
+export function formatPaintedOn(date: Date): string {
+  return date.toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+// One-line summary ("Games Workshop · Orks, 28mm. Painted March 2024."), used as the miniature
+// page's description and in the feeds
+export function describeMiniature(taxonomy: Taxonomy, data: Miniature): string {
+  const names = getTaxonomyValues(data).map(([type, name]) => getDisplayName(taxonomy, type, name));
+  return `${names.join(' · ')}, ${data.scale}. Painted ${formatPaintedOn(data.date)}.`;
+}
@@ -0,0 +1,38 @@
+import type { CollectionEntry } from 'astro:content';
+import { renderMarkdown } from './markdown';
+import { escapeHtml } from './utils';
+
+// Renders a miniature's painting notes (markdown description + recipe steps) to HTML. The same
+// markup is used in the lightbox caption and on the miniature page.
+
+type Miniature = CollectionEntry<'miniatures'>['data'];
+
+export function hasPaintingNotes(data: Miniature): boolean {
+  return Boolean(data.description || data.recipe?.length);
+}
+
+export async function renderPaintingNotes(data: Miniature): Promise<string> {
+  let html = '';
+
+  if (data.description) {
+    html += `<div class="notes-description">${await renderMarkdown(data.description)}</div>`;
+  }
+
+  if (data.recipe?.length) {
+    const steps = data.recipe.map((step) => {
+      const technique = step.technique ? ` <span class="recipe-technique">${escapeHtml(step.technique)}</span>` : '';
+      const paints = step.paints
+        .map((paint) => `<li><span class="recipe-brand">${escapeHtml(paint.brand)}</span> ${escapeHtml(paint.name)}</li>`)
+        .join('');
+      return `<li><span class="recipe-area">${escapeHtml(step.area)}</span>${technique}<ul class="recipe-paints">${paints}</ul></li>`;
+    });
+    html += `<ol class="recipe">${steps.join('')}</ol>`;
+  }
+
+  return html;
+}
+
+// Flat "brand name" list, used to make paints searchable from the gallery's search box
+export function getPaintNames(data: Miniature): string[] {
+  return (data.recipe ?? []).flatMap((step) => step.paints.map((paint) => `${paint.brand} ${paint.name}`));
+}
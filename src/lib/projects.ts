@@ -0,0 +1,10 @@
+import type { CollectionEntry } from 'astro:content';
+
+// Members of a project are listed in their `order`, then by the date they were painted
+export function sortProjectMembers(members: CollectionEntry<'miniatures'>[]): CollectionEntry<'miniatures'>[] {
+  return [...members].sort((a, b) => {
+    const orderDiff = (a.data.order ?? Infinity) - (b.data.order ?? Infinity);
+    if (orderDiff) return orderDiff;
+    return a.data.date.getTime() - b.data.date.getTime();
+  });
+}
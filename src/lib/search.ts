@@ -0,0 +1,120 @@
+// Fuzzy, ranked search over the gallery. The build writes the text of every searchable field to
+// /search-index.json (src/pages/search-index.json.ts); FilterBar fetches it the first time the
+// search box is used, and matches each query word against the words of every field.
+
+import { createJsonLoader, escapeHtml } from './utils';
+
+export const SEARCH_FIELDS = ['title', 'manufacturer', 'game', 'faction', 'tags', 'scale', 'photos', 'paints', 'notes'] as const;
+
+type SearchField = (typeof SEARCH_FIELDS)[number];
+
+// How much a match in each field counts towards an item's relevance
+const FIELD_WEIGHTS: Record<SearchField, number> = {
+  title: 3,
+  manufacturer: 2,
+  game: 2,
+  faction: 2,
+  tags: 1.5,
+  scale: 1,
+  photos: 1,
+  paints: 1,
+  notes: 0.5,
+};
+
+export interface SearchIndex {
+  fields: SearchField[];
+  // Each miniature's field texts, in `fields` order
+  items: Record<string, string[]>;
+}
+
+// Words of each field of an item, ready to match
+type IndexedItem = { field: SearchField; words: string[] }[];
+
+let loadedIndex: Map<string, IndexedItem> | null = null;
+
+export const loadSearchIndex = createJsonLoader('/search-index.json', ({ fields, items }: SearchIndex) => {
+  loadedIndex = new Map(
+    Object.entries(items).map(([id, texts]) => [id, texts.map((text, i) => ({ field: fields[i], words: toWords(text) }))])
+  );
+  return loadedIndex;
+});
+
+// The index once it has loaded, so filtering can fall back to plain matching until then
+export function getLoadedSearchIndex(): Map<string, IndexedItem> | null {
+  return loadedIndex;
+}
+
+// Lowercase and without accents, so "Étoile" and "etoile" compare equal
+export function normalize(text: string): string {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+export function toWords(text: string): string[] {
+  return normalize(text).match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+// Optimal string alignment distance: edits, with a swap of neighbouring letters counting as one
+function editDistance(a: string, b: string): number {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array<number>(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * How well a query word matches a word of the text, from 1 (the same word) down to 0 (no match).
+ * Words of four letters or more tolerate a typo, and of eight or more two, so "necorn" still
+ * finds "Necrons". A query word may be half typed, so the typo check also runs against prefixes.
+ */
+export function matchQuality(query: string, word: string): number {
+  if (word === query) return 1;
+  if (word.startsWith(query)) return 0.8;
+  if (query.length >= 2 && word.includes(query)) return 0.6;
+
+  const maxEdits = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+  if (!maxEdits) return 0;
+  if (Math.abs(word.length - query.length) <= maxEdits && editDistance(query, word) <= maxEdits) return 0.5;
+  if (word.length > query.length && editDistance(query, word.slice(0, query.length)) <= maxEdits) return 0.4;
+  return 0;
+}
+
+/**
+ * Relevance of an item to the query words: each word scores its best match across the item's
+ * fields, weighted by field. Every word has to match somewhere, as with the plain search, or the
+ * item doesn't match at all (null).
+ */
+export function scoreItem(item: IndexedItem, queryWords: string[]): number | null {
+  let score = 0;
+  for (const query of queryWords) {
+    let best = 0;
+    for (const { field, words } of item) {
+      for (const word of words) {
+        best = Math.max(best, FIELD_WEIGHTS[field] * matchQuality(query, word));
+      }
+    }
+    if (best === 0) return null;
+    score += best;
+  }
+  return score;
+}
+
+// HTML of the text with each word matching one of the query words wrapped in <mark>
+export function highlightMatches(text: string, queryWords: string[]): string {
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = normalize(match[0]);
+    if (!queryWords.some((query) => matchQuality(query, word) > 0)) continue;
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
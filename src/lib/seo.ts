@@ -0,0 +1,83 @@
+import { getImage } from 'astro:assets';
+import type { CollectionEntry } from 'astro:content';
+import { describeMiniature, getTaxonomyValues } from './miniatures';
+import { getDisplayName, type Taxonomy } from './taxonomy';
+
+// Metadata BaseLayout puts in every page's <head>: the description and preview image used by
+// search engines and link previews, and schema.org JSON-LD for the gallery pages.
+
+export const SITE_NAME = 'nivvok.art';
+export const SITE_DESCRIPTION = 'Photographs of painted miniatures, organized by manufacturer, game, faction and scale.';
+export const AUTHOR_NAME = 'nivvok';
+
+export interface SeoImage {
+  src: string;
+  width: number;
+  height: number;
+  alt: string;
+}
+
+// Open Graph previews want a JPEG around 1200px wide
+export async function getSeoImage(src: ImageMetadata, alt: string): Promise<SeoImage> {
+  const image = await getImage({ src, width: 1200, format: 'jpeg' });
+  return { src: image.src, width: Number(image.attributes.width), height: Number(image.attributes.height), alt };
+}
+
+type JsonLd = Record<string, unknown>;
+
+function author(site: URL): JsonLd {
+  return { '@type': 'Person', name: AUTHOR_NAME, url: new URL('/', site).href };
+}
+
+// A miniature as a schema.org VisualArtwork. `images` are site-relative, as getImage returns them.
+export function visualArtwork(
+  miniature: CollectionEntry<'miniatures'>,
+  { site, taxonomy, images, project }: {
+    site: URL;
+    taxonomy: Taxonomy;
+    images: string[];
+    project?: CollectionEntry<'projects'>;
+  }
+): JsonLd {
+  const keywords = [
+    ...getTaxonomyValues(miniature.data).map(([type, name]) => getDisplayName(taxonomy, type, name)),
+    ...(miniature.data.tags ?? []),
+  ];
+  return {
+    '@type': 'VisualArtwork',
+    name: miniature.data.title,
+    url: new URL(`/miniatures/${miniature.id}/`, site).href,
+    image: images.map((src) => new URL(src, site).href),
+    description: describeMiniature(taxonomy, miniature.data),
+    dateCreated: miniature.data.date.toISOString().slice(0, 10),
+    artform: 'Painted miniature',
+    keywords: keywords.join(', '),
+    creator: author(site),
+    ...(project && {
+      isPartOf: {
+        '@type': 'CreativeWork',
+        name: project.data.title,
+        url: new URL(`/projects/${project.id}/`, site).href,
+      },
+    }),
+  };
+}
+
+export function imageGallery(
+  { site, url, name, description, artworks }: {
+    site: URL;
+    url: string;
+    name: string;
+    description: string;
+    artworks: JsonLd[];
+  }
+): JsonLd {
+  return {
+    '@type': 'ImageGallery',
+    name,
+    description,
+    url: new URL(url, site).href,
+    author: author(site),
+    hasPart: artworks,
+  };
+}
@@ -0,0 +1,101 @@
+// Lightbox slides for the gallery. The build writes every miniature's slide data once, to
+// /slides.json (src/pages/slides.json.ts), and the gallery fetches it the first time it's needed
+// and turns it into lightGallery slides, captions included.
+
+import { createJsonLoader, escapeHtml } from './utils';
+
+export type TaxonomyKind = 'manufacturers' | 'games' | 'factions';
+
+export interface ManifestPhoto {
+  src: string;
+  webpSrcset: string;
+  avifSrcset: string;
+  // Small WebP for the lightbox's thumbnail strip
+  thumb: string;
+  stage?: string;
+  caption?: string;
+}
+
+export interface ManifestMiniature {
+  title: string;
+  manufacturer: string;
+  game?: string;
+  faction?: string;
+  scale: string;
+  year: number;
+  tags: string[];
+  // Painting notes, already rendered to HTML
+  notes?: string;
+  photos: ManifestPhoto[];
+}
+
+export interface SlideManifest {
+  // `sizes` shared by every slide's srcset
+  slideSizes: string;
+  // Display name and logo of each manufacturer, game and faction, by value as miniatures spell it
+  labels: Record<TaxonomyKind, Record<string, { name: string; logo?: string }>>;
+  miniatures: Record<string, ManifestMiniature>;
+}
+
+// A lightGallery dynamic slide. `miniatureId` and `stage` are read by the compare plugin to offer
+// the other stages of the same miniature.
+export interface Slide {
+  src: string;
+  srcset: string;
+  sizes: string;
+  sources: { type: string; srcset: string; sizes: string }[];
+  thumb: string;
+  subHtml: string;
+  miniatureId: string;
+  stage?: string;
+}
+
+export const loadSlideManifest = createJsonLoader<SlideManifest>('/slides.json');
+
+// Missing logos are reported by the content check, which fails the build; until one is added (in
+// dev) the name stands in for it
+function logoItem(manifest: SlideManifest, kind: TaxonomyKind, value: string): string {
+  const label = manifest.labels[kind][value];
+  const name = escapeHtml(label?.name ?? value);
+  const content = label?.logo ? `<img src="${label.logo}" class="meta-logo" alt="${name}" />` : name;
+  return `<span class="meta-item meta-tooltip" data-tooltip="${name}">${content}</span>`;
+}
+
+function renderCaption(manifest: SlideManifest, id: string, miniature: ManifestMiniature, photo: ManifestPhoto): string {
+  const parts = [logoItem(manifest, 'manufacturers', miniature.manufacturer)];
+  if (miniature.game) parts.push(logoItem(manifest, 'games', miniature.game));
+  if (miniature.faction) parts.push(logoItem(manifest, 'factions', miniature.faction));
+  parts.push(`<span class="meta-item">${escapeHtml(miniature.scale)}</span>`);
+  parts.push(`<span class="meta-item">${miniature.year}</span>`);
+
+  let html = `<h4><a href="/miniatures/${id}/">${escapeHtml(miniature.title)}</a></h4>`;
+  if (photo.stage || photo.caption) {
+    const stage = photo.stage ? `<span class="meta-stage-label">${escapeHtml(photo.stage)}</span>` : '';
+    html += `<p class="meta-stage">${stage}${escapeHtml(photo.caption ?? '')}</p>`;
+  }
+  html += `<div class="meta-row">${parts.join('<span class="meta-sep">·</span>')}</div>`;
+  if (miniature.tags.length) {
+    html += `<div class="meta-tags">${miniature.tags.map((tag) => `<span class="meta-tag">#${escapeHtml(tag)}</span>`).join('')}</div>`;
+  }
+  if (miniature.notes) {
+    html += `<details class="meta-notes"><summary>Painting notes</summary><div class="meta-notes-body">${miniature.notes}</div></details>`;
+  }
+  return html;
+}
+
+// One slide per photo, or none for an id the manifest doesn't know
+export function getSlides(manifest: SlideManifest, id: string): Slide[] {
+  const miniature = manifest.miniatures[id];
+  if (!miniature) return [];
+
+  return miniature.photos.map((photo) => ({
+    src: photo.src,
+    srcset: photo.webpSrcset,
+    sizes: manifest.slideSizes,
+    sources: [{ type: 'image/avif', srcset: photo.avifSrcset, sizes: manifest.slideSizes }],
+    thumb: photo.thumb,
+    subHtml: renderCaption(manifest, id, miniature, photo),
+    miniatureId: id,
+    stage: photo.stage,
+  }));
+}
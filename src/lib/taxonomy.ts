@@ -0,0 +1,35 @@
+import { getCollection } from 'astro:content';
+import { toKebabCase, type LogoType } from './logos';
+
+// Manufacturers, games and factions from src/content/taxonomy. Miniatures name them by value
+// ("Space Marines"); the entry for a value is found the same way as its logo, by kebab-case id.
+
+export interface TaxonomyEntry {
+  name: string;
+  // Id of a faction's game
+  game?: string;
+}
+
+export type Taxonomy = Record<LogoType, Map<string, TaxonomyEntry>>;
+
+export async function getTaxonomy(): Promise<Taxonomy> {
+  const [manufacturers, games, factions] = await Promise.all([
+    getCollection('manufacturers'),
+    getCollection('games'),
+    getCollection('factions'),
+  ]);
+  return {
+    manufacturers: new Map(manufacturers.map((entry) => [entry.id, { name: entry.data.name }])),
+    games: new Map(games.map((entry) => [entry.id, { name: entry.data.name }])),
+    factions: new Map(factions.map((entry) => [entry.id, { name: entry.data.name, game: entry.data.game?.id }])),
+  };
+}
+
+export function findTaxonomyEntry(taxonomy: Taxonomy, type: LogoType, value: string): TaxonomyEntry | undefined {
+  return taxonomy[type].get(toKebabCase(value));
+}
+
+// Values missing from the taxonomy are shown as the miniatures spell them
+export function getDisplayName(taxonomy: Taxonomy, type: LogoType, value: string): string {
+  return findTaxonomyEntry(taxonomy, type, value)?.name ?? value;
+}
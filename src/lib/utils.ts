@@ -0,0 +1,28 @@
+// Small helpers shared by the build and the gallery's client code
+
+export function escapeHtml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * A loader for JSON the build writes (like /slides.json): the first call fetches it and turns it
+ * into the loader's result with `prepare`, later calls share that. A failed request isn't kept, so
+ * the next call tries again.
+ */
+export function createJsonLoader<T, R = T>(url: string, prepare: (json: T) => R = (json) => json as unknown as R): () => Promise<R> {
+  let promise: Promise<R> | null = null;
+  return () => {
+    if (!promise) {
+      promise = fetch(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+          return response.json() as Promise<T>;
+        })
+        .then(prepare);
+      promise.catch(() => {
+        promise = null;
+      });
+    }
+    return promise;
+  };
+}
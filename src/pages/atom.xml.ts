@@ -0,0 +1,33 @@
+import type { APIRoute } from 'astro';
+import { FEED_DESCRIPTION, FEED_TITLE, escapeXml, getFeed } from '../lib/feed';
+
+export const GET: APIRoute = async ({ site, url }) => {
+  const feed = await getFeed(site!);
+  const selfUrl = new URL(url.pathname, site).href;
+
+  const entries = feed.items.map((item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${item.url}" />
+    <id>${item.url}</id>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.date.toISOString()}</updated>
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+${item.categories.map((category) => `    <category term="${escapeXml(category)}" />\n`).join('')}    <media:thumbnail url="${item.image.url}" width="${item.image.width}" height="${item.image.height}" />
+  </entry>`);
+
+  const body = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <link rel="alternate" type="text/html" href="${feed.homeUrl}" />
+  <link rel="self" type="application/atom+xml" href="${selfUrl}" />
+  <id>${feed.homeUrl}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>nivvok</name></author>
+${entries.join('\n')}
+</feed>
+`;
+
+  return new Response(body, { headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' } });
+};
@@ -0,0 +1,31 @@
+import type { APIRoute } from 'astro';
+import { FEED_DESCRIPTION, FEED_TITLE, getFeed } from '../lib/feed';
+
+// JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/)
+export const GET: APIRoute = async ({ site, url }) => {
+  const feed = await getFeed(site!);
+
+  const body = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: FEED_TITLE,
+    description: FEED_DESCRIPTION,
+    home_page_url: feed.homeUrl,
+    feed_url: new URL(url.pathname, site).href,
+    language: 'en',
+    authors: [{ name: 'nivvok' }],
+    items: feed.items.map((item) => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.contentHtml,
+      image: item.image.url,
+      date_published: item.date.toISOString(),
+      tags: item.categories,
+    })),
+  };
+
+  return new Response(JSON.stringify(body, null, 2), {
+    headers: { 'Content-Type': 'application/feed+json; charset=utf-8' },
+  });
+};
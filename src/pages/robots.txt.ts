@@ -0,0 +1,11 @@
+import type { APIRoute } from 'astro';
+
+// sitemap.xml is written at the end of the build by scripts/lib/sitemap.mjs
+export const GET: APIRoute = ({ site }) => {
+  const body = `User-agent: *
+Allow: /
+
+Sitemap: ${new URL('/sitemap.xml', site).href}
+`;
+  return new Response(body, { headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+};
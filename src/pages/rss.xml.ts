@@ -0,0 +1,32 @@
+import type { APIRoute } from 'astro';
+import { FEED_DESCRIPTION, FEED_TITLE, escapeXml, getFeed } from '../lib/feed';
+
+export const GET: APIRoute = async ({ site, url }) => {
+  const feed = await getFeed(site!);
+  const selfUrl = new URL(url.pathname, site).href;
+
+  const items = feed.items.map((item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${item.url}</link>
+      <guid isPermaLink="true">${item.url}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${escapeXml(item.contentHtml)}</description>
+${item.categories.map((category) => `      <category>${escapeXml(category)}</category>\n`).join('')}      <media:thumbnail url="${item.image.url}" width="${item.image.width}" height="${item.image.height}" />
+    </item>`);
+
+  const body = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(FEED_TITLE)}</title>
+    <link>${feed.homeUrl}</link>
+    <description>${escapeXml(FEED_DESCRIPTION)}</description>
+    <language>en</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${selfUrl}" rel="self" type="application/rss+xml" />
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+
+  return new Response(body, { headers: { 'Content-Type': 'application/rss+xml; charset=utf-8' } });
+};
@@ -0,0 +1,38 @@
+import type { APIRoute } from 'astro';
+import { getCollection } from 'astro:content';
+import { getPaintNames } from '../lib/painting-notes';
+import { SEARCH_FIELDS, type SearchIndex } from '../lib/search';
+import { getDisplayName, getTaxonomy } from '../lib/taxonomy';
+
+// Text of every searchable field of every miniature, for the gallery's search (src/lib/search.ts)
+export const GET: APIRoute = async () => {
+  const miniatures = await getCollection('miniatures');
+  const taxonomy = await getTaxonomy();
+
+  // Values are searchable both as written and by their taxonomy display name
+  function withDisplayName(type: 'manufacturers' | 'games' | 'factions', value: string | undefined): string {
+    if (!value) return '';
+    const name = getDisplayName(taxonomy, type, value);
+    return name === value ? value : `${value} ${name}`;
+  }
+
+  const items: SearchIndex['items'] = {};
+  for (const miniature of miniatures) {
+    const { data } = miniature;
+    const fields: Record<(typeof SEARCH_FIELDS)[number], string> = {
+      title: data.title,
+      manufacturer: withDisplayName('manufacturers', data.manufacturer),
+      game: withDisplayName('games', data.game),
+      faction: withDisplayName('factions', data.faction),
+      tags: (data.tags ?? []).join(' '),
+      scale: data.scale,
+      photos: data.photos.flatMap((photo) => [photo.stage ?? '', photo.caption ?? '']).join(' '),
+      paints: getPaintNames(data).join(' '),
+      notes: [data.description ?? '', ...(data.recipe ?? []).flatMap((step) => [step.area, step.technique ?? ''])].join(' '),
+    };
+    items[miniature.id] = SEARCH_FIELDS.map((field) => fields[field].replace(/\s+/g, ' ').trim());
+  }
+
+  const index: SearchIndex = { fields: [...SEARCH_FIELDS], items };
+  return new Response(JSON.stringify(index), { headers: { 'Content-Type': 'application/json' } });
+};
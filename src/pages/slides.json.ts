@@ -0,0 +1,57 @@
+import type { APIRoute } from 'astro';
+import { getImage } from 'astro:assets';
+import { getCollection } from 'astro:content';
+import { SLIDE_SIZES, getSlideImage } from '../lib/images';
+import { getLogoSrc } from '../lib/logos';
+import { hasPaintingNotes, renderPaintingNotes } from '../lib/painting-notes';
+import type { ManifestMiniature, SlideManifest, TaxonomyKind } from '../lib/slides';
+import { getDisplayName, getTaxonomy } from '../lib/taxonomy';
+
+// Slide data for the gallery's lightbox, see src/lib/slides.ts
+export const GET: APIRoute = async () => {
+  const miniatures = await getCollection('miniatures');
+  const taxonomy = await getTaxonomy();
+
+  const labels: SlideManifest['labels'] = { manufacturers: {}, games: {}, factions: {} };
+  function addLabel(kind: TaxonomyKind, value: string | undefined) {
+    if (!value || labels[kind][value]) return;
+    labels[kind][value] = { name: getDisplayName(taxonomy, kind, value), logo: getLogoSrc(kind, value) || undefined };
+  }
+
+  const entries = await Promise.all(
+    miniatures.map(async (miniature): Promise<[string, ManifestMiniature]> => {
+      const { data } = miniature;
+      addLabel('manufacturers', data.manufacturer);
+      addLabel('games', data.game);
+      addLabel('factions', data.faction);
+
+      const photos = await Promise.all(
+        data.photos.map(async (photo) => {
+          const [slide, thumb] = await Promise.all([
+            getSlideImage(photo.src),
+            getImage({ src: photo.src, width: 100, format: 'webp' }),
+          ]);
+          return { ...slide, thumb: thumb.src, stage: photo.stage, caption: photo.caption };
+        })
+      );
+
+      return [
+        miniature.id,
+        {
+          title: data.title,
+          manufacturer: data.manufacturer,
+          game: data.game,
+          faction: data.faction,
+          scale: data.scale,
+          year: data.date.getUTCFullYear(),
+          tags: data.tags ?? [],
+          notes: hasPaintingNotes(data) ? await renderPaintingNotes(data) : undefined,
+          photos,
+        },
+      ];
+    })
+  );
+
+  const manifest: SlideManifest = { slideSizes: SLIDE_SIZES, labels, miniatures: Object.fromEntries(entries) };
+  return new Response(JSON.stringify(manifest), { headers: { 'Content-Type': 'application/json' } });
+};
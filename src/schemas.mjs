@@ -0,0 +1,79 @@
+// Shared by src/content.config.ts and scripts/admin.mjs, so the admin tool validates entries
+// against the same shape Astro will load. Astro passes its image() and reference() helpers; the
+// admin tool, which works with the raw YAML, passes plain string schemas for both.
+import { z } from 'astro/zod';
+
+/**
+ * @template {z.ZodTypeAny} Photo
+ * @typedef {{ src: z.output<Photo>, stage?: string, caption?: string }} StagedPhoto
+ */
+
+/**
+ * @template {z.ZodTypeAny} Photo
+ * @template {z.ZodTypeAny} Project
+ * @param {{ photo: Photo, project: Project }} refs
+ */
+export function miniatureSchema({ photo, project }) {
+  return z.object({
+    title: z.string(),
+    // Either a bare image, or { src, stage, caption } for work-in-progress shots (primed,
+    // basecoated, ...). Both load as { src, stage?, caption? }.
+    photos: z
+      .array(
+        z.union([
+          photo.transform((src) => /** @type {StagedPhoto<Photo>} */ ({ src })),
+          z.object({ src: photo, stage: z.string().optional(), caption: z.string().optional() }),
+        ])
+      )
+      .min(1),
+    manufacturer: z.string(),
+    date: z.coerce.date(),
+    scale: z.string(),
+    game: z.string().optional(),
+    faction: z.string().optional(),
+    order: z.number().int().optional(),
+    tags: z.array(z.string()).optional(),
+    // Painting notes: a markdown description and the paints used, step by step
+    description: z.string().optional(),
+    recipe: z
+      .array(
+        z.object({
+          area: z.string(),
+          paints: z.array(z.object({ brand: z.string(), name: z.string() })),
+          technique: z.string().optional(),
+        })
+      )
+      .optional(),
+    // Unit, squad or army this miniature belongs to (slug of an entry in src/content/projects)
+    project: project.optional(),
+  });
+}
+
+/**
+ * @template {z.ZodTypeAny} Photo
+ * @param {{ photo: Photo }} refs
+ */
+export function projectSchema({ photo }) {
+  return z.object({
+    title: z.string(),
+    // Defaults to the first photo of the project's first miniature
+    cover: photo.optional(),
+    description: z.string().optional(),
+  });
+}
+
+// Manufacturers, games and factions, keyed like their logos: "Space Marines" is the `space-marines`
+// entry of src/content/taxonomy/factions.yaml and uses src/assets/logos/factions/space-marines.png.
+// `name` is how the value is displayed, which can be longer than what the miniatures spell out.
+export function taxonomySchema() {
+  return z.object({ name: z.string() });
+}
+
+/**
+ * @template {z.ZodTypeAny} Game
+ * @param {{ game: Game }} refs
+ */
+export function factionSchema({ game }) {
+  // The filter bar lists a faction under its game, whichever manufacturers made its models
+  return taxonomySchema().extend({ game: game.optional() });
+}